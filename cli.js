@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// generates faces for the NPCs in a JSON dump of a load order (see lib/jsonBackend.js), without zEdit
+// node cli.js dump.json [--settings settings.json] [--output patch.json] [--data <Fallout 4 Data directory>]
+// writes the patch file's records as JSON, plus the report or presets if the settings ask for them
+// test/regression.js runs it on the dumps in test/fixtures and compares each patch with the expected one
+
+const fs = require('fs')
+const path = require('path')
+const engine = require('./lib/engine.js')
+const createJsonBackend = require('./lib/jsonBackend.js')
+
+function parseArguments (args) {
+  const options = { settings: null, output: null, data: '' }
+  const positional = []
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2)
+      if (!(key in options)) throw new Error(`Unknown option ${arg}`)
+      options[key] = args[++i]
+    } else {
+      positional.push(arg)
+    }
+  }
+  if (positional.length !== 1) throw new Error('Usage: node cli.js dump.json [--settings settings.json] [--output patch.json] [--data <Data directory>]')
+  options.dump = positional[0]
+  return options
+}
+
+function main (args) {
+  const options = parseArguments(args)
+  const dump = JSON.parse(fs.readFileSync(options.dump, 'utf8'))
+  const backend = createJsonBackend(dump, { patcherPath: __dirname, dataPath: options.data })
+  engine.useBackend(backend)
+
+  const settings = Object.assign(
+    engine.defaultSettings(),
+    options.settings ? JSON.parse(fs.readFileSync(options.settings, 'utf8')) : {}
+  )
+  const patchFile = backend.addFile(settings.patchFileName)
+  const helpers = {
+    logMessage: (message) => console.log(message),
+    loadRecords: (signature) => backend.loadRecords(signature, patchFile)
+  }
+  const locals = {}
+
+  // the same steps UPF takes: initialize, then each process block in turn, then finalize
+  engine.initialize(settings, locals, helpers)
+  for (const npc of helpers.loadRecords('NPC_')) {
+    if (!engine.filterNpc(npc, settings, locals, helpers)) continue
+    engine.patchNpc(backend.CopyElement(npc, patchFile, false), patchFile, settings, locals, helpers)
+  }
+  for (const lvln of helpers.loadRecords('LVLN')) {
+    if (!engine.filterLeveledList(lvln, settings, locals)) continue
+    engine.patchLeveledList(backend.CopyElement(lvln, patchFile, false), patchFile, settings, locals, helpers)
+  }
+  engine.finalize(settings, locals, helpers)
+
+  const records = backend.fileRecords(patchFile)
+  const output = options.output || `${path.basename(options.dump, '.json')}.patch.json`
+  fs.writeFileSync(output, JSON.stringify({ files: [{ name: settings.patchFileName, masters: backend.GetMasterNames(patchFile) }], records: records }, null, 2))
+  console.log(`Wrote ${records.length} records to ${output}`)
+}
+
+try {
+  main(process.argv.slice(2))
+} catch (e) {
+  console.error(e.message)
+  process.exitCode = 1
+}
@@ -0,0 +1,3498 @@
+const assert = require('assert').strict
+const crypto = require('crypto')
+const cssColors = require('./cssColors.js')
+
+// record and file access, from xelib inside zEdit (lib/xelibBackend.js)
+// or from plain JSON on the command line (lib/jsonBackend.js)
+let jetpack, loadJsonFile, patcherPath
+let AddElement, CopyElement, EditorID, ElementToJSON, GetElement, GetElementFile, GetElements, GetFileName,
+  GetFlag, GetFloatValue, GetGlobal, GetHexFormID, GetIntValue, GetIsFemale, GetIsUnique,
+  GetLinksTo, GetMasterNames, GetMasterRecord, GetOverrides, GetRecord, GetRecords, GetValue, GetWinningOverride, HasElement,
+  LongName, RemoveElement, SetFloatValue, SetIntValue, SetLinksTo, SetValue, Signature, WithHandle,
+  WithHandles
+
+function useBackend (backend) {
+  ({
+    jetpack,
+    loadJsonFile,
+    patcherPath,
+    AddElement,
+    CopyElement,
+    EditorID,
+    ElementToJSON,
+    GetElement,
+    GetElementFile,
+    GetElements,
+    GetFileName,
+    GetFlag,
+    GetFloatValue,
+    GetGlobal,
+    GetHexFormID,
+    GetIntValue,
+    GetIsFemale,
+    GetIsUnique,
+    GetLinksTo,
+    GetMasterNames,
+    GetMasterRecord,
+    GetOverrides,
+    GetRecord,
+    GetRecords,
+    GetValue,
+    GetWinningOverride,
+    HasElement,
+    LongName,
+    RemoveElement,
+    SetFloatValue,
+    SetIntValue,
+    SetLinksTo,
+    SetValue,
+    Signature,
+    WithHandle,
+    WithHandles
+  } = backend)
+}
+
+// from https://en.wikipedia.org/wiki/SRGB
+function sRGBtoRGB (u) {
+  u = u / 255.0
+  return u <= 0.04045 ? u / 12.92 : ((u + 0.055) / 1.055) ** 2.4
+}
+function RGBtosRGB (u) {
+  u = u <= 0.0031308 ? u * 12.92 : (1.055 * (u ** (1 / 2.4))) - 0.055
+  return Math.floor(u * 255.0)
+}
+
+function setLinksTo (element, path, target) {
+  WithHandle(AddElement(element, path), (handle) => SetLinksTo(handle, target, ''))
+}
+
+function linkedEditorID (element, path) {
+  const target = GetLinksTo(element, path)
+  if (!target) return ''
+  return WithHandle(target, EditorID)
+}
+
+// the reverse of _parseIntColor, takes sRGB components
+function _intColor ({ red, green, blue }) {
+  return ((0xff << 24) | (blue << 16) | (green << 8) | red) >>> 0
+}
+
+function _parseIntColor (value) {
+  return {
+    red: sRGBtoRGB(value & 0xff),
+    green: sRGBtoRGB((value >>> 8) & 0xff),
+    blue: sRGBtoRGB((value >>> 16) & 0xff)
+  }
+}
+
+// sRGB components from 0 to 255, alpha from 0 to 1
+function _parseCSSColor (red, green, blue, alpha) {
+  const color = {
+    red: sRGBtoRGB(Math.min(Math.max(red, 0), 255)),
+    green: sRGBtoRGB(Math.min(Math.max(green, 0), 255)),
+    blue: sRGBtoRGB(Math.min(Math.max(blue, 0), 255))
+  }
+  if (alpha !== undefined) color.alpha = Math.min(Math.max(alpha, 0), 1)
+  return color
+}
+
+// from https://en.wikipedia.org/wiki/HSL_and_HSV#HSL_to_RGB_alternative
+function hslToSRGB (hue, saturation, lightness) {
+  hue = ((hue % 360) + 360) % 360
+  saturation = Math.min(Math.max(saturation, 0), 1)
+  lightness = Math.min(Math.max(lightness, 0), 1)
+  const a = saturation * Math.min(lightness, 1 - lightness)
+  const f = function (n) {
+    const k = (n + hue / 30) % 12
+    return 255 * (lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)))
+  }
+  return [f(0), f(8), f(4)]
+}
+
+// css number arguments, scale is what 100% means
+function _cssNumber (arg, scale) {
+  if (arg === undefined) return NaN
+  if (arg.endsWith('%')) return parseFloat(arg) / 100 * scale
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(arg)) return NaN
+  return parseFloat(arg)
+}
+
+function _cssHue (arg) {
+  const match = /^([-+]?(?:\d+\.?\d*|\.\d+))(deg|turn|rad|grad)?$/i.exec(arg || '')
+  if (!match) return NaN
+  const units = { deg: 1, turn: 360, rad: 180 / Math.PI, grad: 0.9 }
+  return parseFloat(match[1]) * units[(match[2] || 'deg').toLowerCase()]
+}
+
+// rgb(), rgba(), hsl() and hsla(), with commas or with spaces and a slash before the alpha
+function _parseColorFunction (name, args) {
+  args = args.split(/\s*[,/]\s*|\s+/).filter((arg) => arg)
+  if (args.length !== 3 && args.length !== 4) return false
+  const alpha = args.length === 4 ? _cssNumber(args[3], 1) : undefined
+  if (isNaN(alpha) && alpha !== undefined) return false
+  let components
+  if (name.startsWith('rgb')) {
+    components = args.slice(0, 3).map((arg) => _cssNumber(arg, 255))
+  } else {
+    const hue = _cssHue(args[0])
+    const saturation = _cssNumber(args[1].endsWith('%') ? args[1] : `${args[1]}%`, 1)
+    const lightness = _cssNumber(args[2].endsWith('%') ? args[2] : `${args[2]}%`, 1)
+    if ([hue, saturation, lightness].some(isNaN)) return false
+    components = hslToSRGB(hue, saturation, lightness)
+  }
+  if (components.some(isNaN)) return false
+  return _parseCSSColor(...components, alpha)
+}
+
+// #rgb, #rgba, #rrggbb and #rrggbbaa
+function _parseHexColor (hex) {
+  if (hex.length <= 4) hex = hex.split('').map((digit) => digit + digit).join('')
+  const components = hex.match(/../g).map((pair) => parseInt(pair, 16))
+  return _parseCSSColor(components[0], components[1], components[2], hex.length === 8 ? components[3] / 255 : undefined)
+}
+
+// colours come from the CNAM of colour forms, looksmenu presets and the settings
+// a number is in the game's own layout, red in the lowest byte, and so is a bare hex string
+// label says where the colour came from when it can't be parsed
+function parseColor (colorString, logMessage, label = 'A color') {
+  if (typeof colorString === 'number') return _parseIntColor(colorString)
+  if (typeof colorString === 'string') {
+    const text = colorString.trim().toLowerCase()
+    const colorFunction = /^(rgba?|hsla?)\((.*)\)$/.exec(text)
+    let color = false
+    if (colorFunction) {
+      color = _parseColorFunction(colorFunction[1], colorFunction[2])
+    } else if (/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(text)) {
+      color = _parseHexColor(text.slice(1))
+    } else if (cssColors[text]) {
+      color = _parseHexColor(cssColors[text].slice(1))
+    } else if (/^(0x)?[0-9a-f]{1,8}$/.test(text)) {
+      color = _parseIntColor(parseInt(text, 16))
+    }
+    if (color) return color
+  }
+  if (logMessage) logMessage(`[WARN] ${label}: not sure how to parse the color ${colorString}`)
+  return false
+}
+
+// numbers typed into the settings are the decimal ones looksmenu presets hold, not hex
+function parseSettingColor (value, label, logMessage) {
+  if (typeof value === 'string' && /^\s*\d+\s*$/.test(value)) value = parseInt(value, 10)
+  return parseColor(value, logMessage, label)
+}
+
+function Random (edid, seed, stream = '') {
+  const seedbuf = Buffer.alloc(4)
+  seedbuf.writeUInt32BE(seed, 0)
+
+  const outbuf = crypto.createHash('md5')
+    .update(seedbuf)
+    .update(edid)
+    .update('\0')
+    .update(stream)
+    .digest()
+
+  // state must be non-zero
+  let state = outbuf.readUInt32BE(0) || 1
+
+  return function (modulus) {
+    // from https://en.wikipedia.org/wiki/Xorshift
+    state ^= state << 13
+    state ^= state >>> 17
+    state ^= state << 5
+    state = state >>> 0 // state is once more uint32.
+    if (modulus) return state % modulus
+    return state
+  }
+}
+
+// a separate random stream for every trait, so adding a step or a head part
+// only changes the trait it belongs to
+function RandomStreams (edid, seed) {
+  const streams = new Map()
+  return (trait) => {
+    if (!streams.has(trait)) streams.set(trait, Random(edid, seed, trait))
+    return streams.get(trait)
+  }
+}
+
+function randomf (random) {
+  return (random() & 65535) / 65535.0
+}
+
+// gaussian random variable for genetics
+// uses central limit theorem for generating from uniform random
+function grandom (random) {
+  let rand = 0
+  for (let i = 0; i < 10; i += 1) {
+    rand += randomf(random)
+  }
+  return rand / 10.0
+}
+
+// BEST method to check if there is a property in an object
+// works for all kinds of weird things
+function hasOwnProperty (obj, prop) {
+  const proto = obj.constructor.prototype
+  return (prop in obj) && (!(prop in proto) || proto[prop] !== obj[prop])
+}
+
+function pickOne (arr, random, func) {
+  const length = arr.length
+  if (!length) return
+  func(arr[random(length)])
+}
+
+function pickTwo (arr, random) {
+  const length = arr.length
+  const i1 = random(length)
+  let i2 = random(length - 1)
+  if (i2 >= i1) i2 = i2 + 1
+  return [arr[i1], arr[i2]]
+}
+
+// picks one of the keys of weights, with chances proportional to their values
+function pickWeighted (weights, random) {
+  const keys = Object.keys(weights).filter((key) => weights[key] > 0)
+  const total = keys.reduce((sum, key) => sum + weights[key], 0)
+  let rand = randomf(random) * total
+  for (const key of keys) {
+    rand -= weights[key]
+    if (rand < 0) return key
+  }
+  return keys[keys.length - 1]
+}
+
+// like pickOne, with chances proportional to weight(item)
+// items without a positive weight are never picked, so nothing is when no item has one
+function pickOneWeighted (arr, weight, random, func) {
+  const weights = arr.map((item) => Math.max(weight(item), 0) || 0)
+  const total = weights.reduce((sum, value) => sum + value, 0)
+  if (!(total > 0)) return
+  if (weights.every((value) => value === weights[0])) return pickOne(arr, random, func)
+  let rand = randomf(random) * total
+  let last = 0
+  for (let i = 0; i < arr.length; i++) {
+    if (!weights[i]) continue
+    last = i
+    rand -= weights[i]
+    if (rand < 0) return func(arr[i])
+  }
+  return func(arr[last])
+}
+
+function pickN (arr, count, random, func) {
+  const choices = []
+  const maxrand = arr.length - count
+  if (maxrand <= 0) { // choosing as many or more items than are present
+    arr.forEach((choice) => func(choice))
+    return
+  }
+  for (; count > 0; count--) {
+    choices.push(random(maxrand))
+  }
+  choices.sort((a, b) => a - b)
+  choices.forEach((choice, i) => func(arr[choice + i]))
+}
+
+function isCharGen (npc) {
+  return GetFlag(npc, 'ACBS\\Flags', 'Is CharGen Face Preset')
+}
+
+function enabledRaces (settings) {
+  return Object.keys(settings.races).filter((race) => settings.races[race])
+}
+
+function isPatchable (npc, settings) {
+  if (settings.ignoreCharGen && isCharGen(npc)) return false
+  if (!settings.races[linkedEditorID(npc, 'RNAM')]) return false
+  return true
+}
+
+function convolve (parent1, parent2, defaultValue, func) {
+  const child = {}
+  for (const key in parent1) {
+    if (hasOwnProperty(parent2, key)) {
+      child[key] = func(key, parent1[key], parent2[key])
+    } else {
+      child[key] = func(key, parent1[key], defaultValue)
+    }
+  }
+  for (const key in parent2) {
+    if (hasOwnProperty(child, key)) continue
+    child[key] = func(key, defaultValue, parent2[key])
+  }
+  return child
+}
+
+function blendPresets (parent1, parent2, weight) {
+  const w = (value1, value2) => weight * (value1 || 0) + (1 - weight) * (value2 || 0)
+  const values1 = parent1.Values || []
+  const values2 = parent2.Values || []
+  return {
+    Regions: convolve(
+      parent1.Regions || {},
+      parent2.Regions || {},
+      [0, 0, 0, 0, 0, 0, 0],
+      (morphIndex, value1, value2) => FMRSFields.map((fieldName, index) => w(value1[index], value2[index]))
+    ),
+    Presets: convolve(parent1.Presets || {}, parent2.Presets || {}, 0, (key, value1, value2) => w(value1, value2)),
+    Values: MRSVFields.map((fieldName, index) => w(values1[index], values2[index]))
+  }
+}
+
+// disjoint sets of keys, used to group NPCs into families
+function UnionFind () {
+  const parents = new Map()
+
+  function find (key) {
+    if (!parents.has(key)) parents.set(key, key)
+    let root = key
+    while (parents.get(root) !== root) root = parents.get(root)
+    // path compression
+    while (key !== root) {
+      const next = parents.get(key)
+      parents.set(key, root)
+      key = next
+    }
+    return root
+  }
+
+  return {
+    union (key1, key2) {
+      const root1 = find(key1)
+      const root2 = find(key2)
+      if (root1 !== root2) parents.set(root2, root1)
+    },
+    groups () {
+      const groups = new Map()
+      for (const key of parents.keys()) {
+        const root = find(key)
+        if (!groups.has(root)) groups.set(root, [])
+        groups.get(root).push(key)
+      }
+      return [...groups.values()]
+    }
+  }
+}
+
+// required because some newly created arrays already have a [0].
+function arrayPath () {
+  let firstPath = true
+  return () => {
+    if (firstPath) {
+      firstPath = false
+      return '[0]'
+    } else {
+      return '.'
+    }
+  }
+}
+
+const defaultFemaleHDPTNames = new Set([
+  'FemaleEyesHumanAO "FemaleEyesHumanAO" [HDPT:000F159E]',
+  'FemaleEyesHumanLashes "FemaleEyesHumanLashes" [HDPT:0004D0EC]',
+  'FemaleEyesHumanWet "FemaleEyesHumanWet" [HDPT:0014EC22]',
+  'FemaleHeadHuman "FemaleHeadHuman" [HDPT:000CFB3F]',
+  'FemaleHeadHumanRearTEMP "FemaleHeadHumanRearTEMP" [HDPT:0004D0E9]',
+  'FemaleMouthHumanoidDefault "FemaleMouthHumanoidDefault" [HDPT:000CFB4E]'
+])
+
+const defaultMaleHDPTNames = new Set([
+  'MaleEyesHumanAO "MaleEyesHumanAO" [HDPT:000844A7]',
+  'MaleEyesHumanLashes "MaleEyesHumanLashes" [HDPT:000423AF]',
+  'MaleEyesHumanWet "MaleEyesHumanWet" [HDPT:0011CCBD]',
+  'MaleHeadHuman "MaleHeadHuman" [HDPT:0001EEBB]',
+  'MaleHeadHumanRearTEMP "MaleHeadHumanRearTEMP" [HDPT:0001F735]',
+  'MaleMouthHumanoidDefault "MaleMouthHumanoidDefault" [HDPT:00051631]'
+])
+
+const requiredHeadPartTypes = [
+  'Eyes',
+  'Hair'
+]
+
+const femaleHeadPartTypes = [
+  'Eyes',
+  'Hair'
+]
+
+const maleHeadPartTypes = [
+  'Eyes',
+  'Hair',
+  'Facial Hair'
+]
+
+// 1 unless set in the settings, disabled parts weigh nothing
+function headPartWeight (settings, edid) {
+  if (settings.disabledHeadParts[edid]) return 0
+  const weight = settings.headPartWeights[edid]
+  if (weight === undefined || weight === null || weight === '') return 1
+  return Math.max(Number(weight), 0) || 0
+}
+
+// the game adds extra parts (hairlines and the like) along with the part that lists them
+function extraPartsResolve (hdpt) {
+  if (!HasElement(hdpt, 'Extra Parts')) return true
+  return WithHandles(GetElements(hdpt, 'Extra Parts'), (parts) => {
+    return parts.every((part) => Boolean(GetLinksTo(part, '')))
+  })
+}
+
+const CONDITION_OR_FLAG = 0x01
+const CONDITION_USE_GLOBAL_FLAG = 0x04
+// indexed by the top three bits of CTDA\Type
+const conditionOperators = [
+  (a, b) => a === b,
+  (a, b) => a !== b,
+  (a, b) => a > b,
+  (a, b) => a >= b,
+  (a, b) => a < b,
+  (a, b) => a <= b
+]
+
+function parseConditions (record) {
+  if (!HasElement(record, 'Conditions')) return []
+  return WithHandles(GetElements(record, 'Conditions'), (conditions) => conditions.map((condition) => {
+    const func = GetValue(condition, 'CTDA\\Function')
+    let parameter = null
+    switch (func) {
+      case 'GetIsSex':
+        parameter = GetValue(condition, 'CTDA\\Sex')
+        break
+      case 'GetIsRace':
+        parameter = linkedEditorID(condition, 'CTDA\\Race')
+        break
+      case 'GetInFaction':
+        parameter = linkedEditorID(condition, 'CTDA\\Faction')
+        break
+    }
+    return {
+      type: GetIntValue(condition, 'CTDA\\Type'),
+      func: func,
+      runOn: GetValue(condition, 'CTDA\\Run On'),
+      value: parseFloat(GetValue(condition, 'CTDA\\Comparison Value')),
+      parameter: parameter
+    }
+  }))
+}
+
+// only sex, race and faction can be worked out without the game running
+function conditionFunctionValue (condition, subject) {
+  if (condition.runOn !== 'Subject') return
+  switch (condition.func) {
+    case 'GetIsSex':
+      return condition.parameter === subject.sex ? 1 : 0
+    case 'GetIsRace':
+      return condition.parameter === subject.race ? 1 : 0
+    case 'GetInFaction':
+      if (!subject.factions) return
+      return subject.factions.has(condition.parameter) ? 1 : 0
+  }
+}
+
+// conditions we can't evaluate pass, so the game gets the final say
+function conditionResult (condition, subject) {
+  if (condition.type & CONDITION_USE_GLOBAL_FLAG) return true
+  const value = conditionFunctionValue(condition, subject)
+  const compare = conditionOperators[condition.type >>> 5]
+  if (value === undefined || isNaN(condition.value) || !compare) return true
+  return compare(value, condition.value)
+}
+
+// like the game, ORs bind tighter than ANDs
+function conditionsPass (conditions, subject) {
+  let result = true
+  let group = false
+  let inGroup = false
+  for (const condition of conditions) {
+    group = group || conditionResult(condition, subject)
+    inGroup = true
+    if (condition.type & CONDITION_OR_FLAG) continue
+    result = result && group
+    group = false
+    inGroup = false
+  }
+  if (inGroup) result = result && group
+  return result
+}
+
+function headPartAllowed (hdpt, subject, headPartConditions) {
+  const conditions = headPartConditions.get(LongName(hdpt))
+  return !conditions || conditionsPass(conditions, subject)
+}
+
+// lists the head parts that can be picked, grouped by plugin, so they can be disabled or weighted
+function settingsController ($scope) {
+  const patcherSettings = $scope.settings.falloutGeneticsPatcher
+  patcherSettings.disabledHeadParts = patcherSettings.disabledHeadParts || {}
+  patcherSettings.headPartWeights = patcherSettings.headPartWeights || {}
+  patcherSettings.faceModPolicies = patcherSettings.faceModPolicies || {}
+  patcherSettings.faceDetails = Object.assign(JSON.parse(JSON.stringify(faceDetailDefaults)), patcherSettings.faceDetails)
+
+  $scope.headPartPlugins = []
+  $scope.headPartFilter = ''
+
+  $scope.loadHeadParts = function () {
+    const plugins = new Map()
+    WithHandles(GetRecords(0, 'HDPT', false), (hdpts) => {
+      for (const hdpt of hdpts) {
+        const type = GetValue(hdpt, 'PNAM')
+        if (!maleHeadPartTypes.includes(type)) continue
+        const plugin = WithHandle(GetElementFile(hdpt), GetFileName)
+        if (!plugins.has(plugin)) plugins.set(plugin, [])
+        plugins.get(plugin).push({
+          editorID: EditorID(hdpt),
+          name: GetValue(hdpt, 'FULL'),
+          type: type
+        })
+      }
+    })
+    $scope.headPartPlugins = [...plugins].map(([plugin, headParts]) => ({
+      name: plugin,
+      headParts: headParts.sort((a, b) => a.type.localeCompare(b.type) || a.editorID.localeCompare(b.editorID))
+    }))
+  }
+
+  $scope.isHeadPartEnabled = (edid) => !patcherSettings.disabledHeadParts[edid]
+
+  $scope.toggleHeadPart = function (edid) {
+    if (patcherSettings.disabledHeadParts[edid]) {
+      delete patcherSettings.disabledHeadParts[edid]
+    } else {
+      patcherSettings.disabledHeadParts[edid] = true
+    }
+  }
+
+  $scope.setPluginEnabled = function (plugin, enabled) {
+    for (const headPart of plugin.headParts) {
+      if (enabled) {
+        delete patcherSettings.disabledHeadParts[headPart.editorID]
+      } else {
+        patcherSettings.disabledHeadParts[headPart.editorID] = true
+      }
+    }
+  }
+
+  $scope.faceModCounts = {}
+  $scope.findFaceMods = function () {
+    const counts = {}
+    WithHandles(GetRecords(0, 'NPC_', false), (npcs) => {
+      for (const npc of npcs) {
+        const plugin = faceModPlugin(npc, patcherSettings.patchFileName)
+        if (plugin) counts[plugin] = (counts[plugin] || 0) + 1
+      }
+    })
+    for (const plugin in counts) {
+      if (!patcherSettings.faceModPolicies[plugin]) patcherSettings.faceModPolicies[plugin] = patcherSettings.defaultFaceModPolicy
+    }
+    $scope.faceModCounts = counts
+  }
+
+  $scope.removeFaceModPolicy = function (plugin) {
+    delete patcherSettings.faceModPolicies[plugin]
+  }
+
+  $scope.matchesHeadPartFilter = function (headPart) {
+    const filter = $scope.headPartFilter.toLowerCase()
+    if (!filter) return true
+    return `${headPart.editorID} ${headPart.name} ${headPart.type}`.toLowerCase().includes(filter)
+  }
+}
+
+const FMRSFields = [
+  'Position - X',
+  'Position - Y',
+  'Position - Z',
+  'Rotation - X',
+  'Rotation - Y',
+  'Rotation - Z',
+  'Scale'
+]
+
+const MRSVFields = [
+  'Head',
+  'Upper Torso',
+  'Arms',
+  'Lower Torso',
+  'Legs'
+]
+
+const tintTargets = [
+  'Skin',
+  'Eyebrows',
+  'Lipstick',
+  'Lips',
+  'Eyeliner',
+  'EyeShadow',
+  'Makeup',
+  'Blemishes',
+  'Freckles',
+  'Moles',
+  'Dirt',
+  'Raiders',
+  'ChildrenOfAtom',
+  'Bruising',
+  'Wrinkles',
+  'Scars'
+]
+
+const FEMALE_HDPT_FLAG = 4
+const MALE_HDPT_FLAG = 2
+
+const HUMAN_RACE = 'HumanRace'
+const CHILD_RACE = 'ChildRace'
+
+// what an NPC looks like when no appearance rule says otherwise
+const appearanceDefaults = {
+  dirt: { count: { min: 0, max: 0 }, intensity: { min: 0, max: 0 } },
+  scars: { count: { min: 0, max: 0 }, intensity: { min: 0, max: 0 } },
+  facePaint: { pools: [], chance: 0, intensity: { min: 0, max: 0 } },
+  foundationChance: 0,
+  makeupChance: 0
+}
+
+// how likely and how strong the smaller face details are, on top of the appearance rules
+// counts are whole numbers of tint layers, intensities and chances run from 0 to 1
+const faceDetailDefaults = {
+  blemishes: { enabled: true, count: { min: 0, max: 4 }, intensity: { min: 0.05, max: 0.25 } },
+  // the chance is for the palest skin, and falls off the darker the skin
+  freckles: { enabled: true, chance: 0.75, intensity: { min: 0, max: 1 } },
+  // only NPCs without freckles get moles
+  moles: { enabled: true, chance: 0.1, count: { min: 1, max: 2 }, intensity: { min: 0.05, max: 0.25 } },
+  dirt: { enabled: true },
+  scars: { enabled: true },
+  facePaint: { enabled: true }
+}
+
+function asList (value) {
+  if (Array.isArray(value)) return value.filter((item) => item)
+  if (typeof value === 'string') return value.split(',').map((item) => item.trim()).filter((item) => item)
+  return []
+}
+
+function normalizeRange (range, label, logMessage) {
+  let min = Number(range.min)
+  let max = Number(range.max)
+  if (isNaN(min) || isNaN(max)) {
+    logMessage(`[WARN] Ignoring ${label}, it needs a min and a max.`)
+    return
+  }
+  if (min > max) [min, max] = [max, min]
+  return { min, max }
+}
+
+function normalizeChance (chance, label, logMessage) {
+  const value = Number(chance)
+  if (isNaN(value)) {
+    logMessage(`[WARN] Ignoring ${label}, it should be a number between 0 and 1.`)
+    return
+  }
+  return Math.min(Math.max(value, 0), 1)
+}
+
+function normalizeAppearanceRule (rule, ruleIndex, logMessage) {
+  const name = rule.name || `rule #${ruleIndex + 1}`
+  const normalized = {
+    name: name,
+    factions: new Set(asList(rule.factions)),
+    keywords: new Set(asList(rule.keywords)),
+    races: new Set(asList(rule.races))
+  }
+  for (const key of ['dirt', 'scars']) {
+    if (!rule[key]) continue
+    normalized[key] = {}
+    for (const field of ['count', 'intensity']) {
+      if (!rule[key][field]) continue
+      const range = normalizeRange(rule[key][field], `${name} ${key} ${field}`, logMessage)
+      if (!range) continue
+      if (field === 'count') {
+        range.min = Math.max(Math.round(range.min), 0)
+        range.max = Math.max(Math.round(range.max), 0)
+      }
+      normalized[key][field] = range
+    }
+  }
+  if (rule.facePaint) {
+    const facePaint = normalized.facePaint = {}
+    if (rule.facePaint.pools) {
+      facePaint.pools = asList(rule.facePaint.pools).filter((pool) => {
+        if (tintTargets.includes(pool)) return true
+        logMessage(`[WARN] ${name} uses an unknown face paint pool ${pool}, expected one of ${tintTargets.join(', ')}.`)
+        return false
+      })
+    }
+    if (rule.facePaint.chance !== undefined) {
+      const chance = normalizeChance(rule.facePaint.chance, `${name} face paint chance`, logMessage)
+      if (chance !== undefined) facePaint.chance = chance
+    }
+    if (rule.facePaint.intensity) {
+      const range = normalizeRange(rule.facePaint.intensity, `${name} face paint intensity`, logMessage)
+      if (range) facePaint.intensity = range
+    }
+  }
+  for (const key of ['foundationChance', 'makeupChance', 'beardChance']) {
+    if (rule[key] === undefined || rule[key] === null || rule[key] === '') continue
+    const chance = normalizeChance(rule[key], `${name} ${key}`, logMessage)
+    if (chance !== undefined) normalized[key] = chance
+  }
+  return normalized
+}
+
+function normalizeFaceDetails (details, logMessage) {
+  const normalized = JSON.parse(JSON.stringify(faceDetailDefaults))
+  for (const category in faceDetailDefaults) {
+    const detail = (details || {})[category]
+    if (!detail) continue
+    for (const field in faceDetailDefaults[category]) {
+      const value = detail[field]
+      const label = `the ${category} ${field}`
+      if (value === undefined || value === null || value === '') continue
+      if (field === 'enabled') {
+        normalized[category].enabled = Boolean(value)
+      } else if (field === 'count' || field === 'intensity') {
+        const range = normalizeRange(value, label, logMessage)
+        if (!range) continue
+        normalized[category][field] = field === 'count'
+          ? { min: Math.max(Math.round(range.min), 0), max: Math.max(Math.round(range.max), 0) }
+          : { min: Math.min(Math.max(range.min, 0), 1), max: Math.min(Math.max(range.max, 0), 1) }
+      } else {
+        const chance = normalizeChance(value, label, logMessage)
+        if (chance !== undefined) normalized[category][field] = chance
+      }
+    }
+  }
+  return normalized
+}
+
+function normalizeAppearanceRules (rules, logMessage) {
+  if (!Array.isArray(rules)) {
+    logMessage('[WARN] The appearance rules should be a list, ignoring them.')
+    return []
+  }
+  return rules.map((rule, ruleIndex) => normalizeAppearanceRule(rule || {}, ruleIndex, logMessage))
+}
+
+// rules without factions or keywords apply to everyone, rules with races only to those races
+function ruleMatches (rule, factions, keywords, race) {
+  if (rule.races.size && !rule.races.has(race)) return false
+  if (!rule.factions.size && !rule.keywords.size) return true
+  for (const faction of rule.factions) {
+    if (factions.has(faction)) return true
+  }
+  for (const keyword of rule.keywords) {
+    if (keywords.has(keyword)) return true
+  }
+  return false
+}
+
+// merges every matching rule in order, so later rules override earlier ones
+function appearanceProfile (rules, factions, keywords, race, beardChance) {
+  const profile = JSON.parse(JSON.stringify(appearanceDefaults))
+  profile.beardChance = beardChance
+  for (const rule of rules) {
+    if (!ruleMatches(rule, factions, keywords, race)) continue
+    // copies, so nothing done to the profile finds its way back into the rules
+    for (const key of ['dirt', 'scars', 'facePaint']) {
+      if (rule[key]) Object.assign(profile[key], JSON.parse(JSON.stringify(rule[key])))
+    }
+    for (const key of ['foundationChance', 'makeupChance', 'beardChance']) {
+      if (rule[key] !== undefined) profile[key] = rule[key]
+    }
+  }
+  return profile
+}
+
+// caps a range in a new object, the profile's may still be shared with a rule
+function capRange ({ min, max }, cap) {
+  return { min: Math.min(min, cap), max: Math.min(max, cap) }
+}
+
+// whatever the rules say, kids don't wear makeup or face paint, grow beards or collect scars
+function childProfile (profile) {
+  profile.foundationChance = 0
+  profile.makeupChance = 0
+  profile.beardChance = 0
+  profile.facePaint = Object.assign({}, profile.facePaint, { chance: 0 })
+  profile.scars.count = capRange(profile.scars.count, 1)
+  profile.scars.intensity = capRange(profile.scars.intensity, 0.2)
+  return profile
+}
+
+const bodyShapeDefaults = {
+  thin: 1,
+  muscular: 1,
+  fat: 1,
+  variation: 0.5,
+  regions: {}
+}
+
+// like the appearance rules, but matched on faction, class and sex
+function normalizeBodyShape (rule, ruleIndex, logMessage) {
+  const name = rule.name || `body shape #${ruleIndex + 1}`
+  const normalized = {
+    name: name,
+    factions: new Set(asList(rule.factions)),
+    classes: new Set(asList(rule.classes)),
+    sex: ['female', 'male'].includes(rule.sex) ? rule.sex : '',
+    regions: {}
+  }
+  for (const key of ['thin', 'muscular', 'fat']) {
+    if (rule[key] === undefined || rule[key] === null || rule[key] === '') continue
+    const weight = Number(rule[key])
+    if (isNaN(weight) || weight < 0) {
+      logMessage(`[WARN] Ignoring ${name} ${key}, it should be a positive number.`)
+      continue
+    }
+    normalized[key] = weight
+  }
+  if (rule.variation !== undefined && rule.variation !== null && rule.variation !== '') {
+    const variation = normalizeChance(rule.variation, `${name} variation`, logMessage)
+    if (variation !== undefined) normalized.variation = variation
+  }
+  for (const field in rule.regions || {}) {
+    const offset = Number(rule.regions[field])
+    if (!MRSVFields.includes(field)) {
+      logMessage(`[WARN] ${name} has an unknown body region ${field}, expected one of ${MRSVFields.join(', ')}.`)
+    } else if (rule.regions[field] !== null && rule.regions[field] !== '' && !isNaN(offset)) {
+      normalized.regions[field] = offset
+    }
+  }
+  return normalized
+}
+
+function normalizeBodyShapes (rules, logMessage) {
+  if (!Array.isArray(rules)) {
+    logMessage('[WARN] The body shapes should be a list, ignoring them.')
+    return []
+  }
+  return rules.map((rule, ruleIndex) => normalizeBodyShape(rule || {}, ruleIndex, logMessage))
+}
+
+function bodyShapeMatches (rule, factions, npcClass, sex) {
+  if (rule.sex && rule.sex !== sex) return false
+  if (!rule.factions.size && !rule.classes.size) return true
+  for (const faction of rule.factions) {
+    if (factions.has(faction)) return true
+  }
+  return rule.classes.has(npcClass)
+}
+
+function bodyShapeProfile (rules, factions, npcClass, sex) {
+  const profile = JSON.parse(JSON.stringify(bodyShapeDefaults))
+  for (const rule of rules) {
+    if (!bodyShapeMatches(rule, factions, npcClass, sex)) continue
+    for (const key of ['thin', 'muscular', 'fat', 'variation']) {
+      if (rule[key] !== undefined) profile[key] = rule[key]
+    }
+    Object.assign(profile.regions, rule.regions)
+  }
+  return profile
+}
+
+// a point on the thin/muscular/fat triangle (MWGT) and a value per body region (MRSV)
+// every region follows the same build, so arms and legs agree with the torso
+function generateBodyShape (profile, random) {
+  const jitter = () => 1 + (randomf(random) - 0.5) * 2 * profile.variation
+  let thin = profile.thin * jitter()
+  let muscular = profile.muscular * jitter()
+  let fat = profile.fat * jitter()
+  const total = thin + muscular + fat
+  if (total > 0) {
+    thin = thin / total
+    muscular = muscular / total
+    fat = fat / total
+  } else {
+    thin = muscular = fat = 1 / 3
+  }
+  const build = muscular + fat - thin
+  return {
+    weight: { thin, muscular, fat },
+    regions: MRSVFields.map((field) => {
+      const value = build + (profile.regions[field] || 0) + (randomf(random) - 0.5) * profile.variation / 2
+      return Math.min(Math.max(value, -1), 1)
+    })
+  }
+}
+
+function ageBodyRegions (values, age) {
+  return values.map((value, index) => {
+    const offset = (ageBodyOffsets[MRSVFields[index]] || 0) * age.ageing
+    return Math.min(Math.max(value + offset, -1), 1)
+  })
+}
+
+function npcFactions (npc) {
+  const factions = new Set()
+  if (HasElement(npc, 'Factions')) {
+    WithHandles(GetElements(npc, 'Factions'), (factionArray) => {
+      for (const faction of factionArray) {
+        factions.add(linkedEditorID(faction, 'Faction'))
+      }
+    })
+  }
+  return factions
+}
+
+function recordKeywords (record) {
+  const keywords = new Set()
+  if (HasElement(record, 'KWDA')) {
+    WithHandles(GetElements(record, 'KWDA'), (keywordArray) => {
+      for (const keyword of keywordArray) {
+        keywords.add(linkedEditorID(keyword, ''))
+      }
+    })
+  }
+  return keywords
+}
+
+// checked in order, so hazel wins over the green or brown in its name
+const eyeColorPatterns = [
+  ['hazel', /hazel/],
+  ['green', /green/],
+  ['blue', /blue/],
+  ['grey', /gr[ae]y|silver/],
+  ['amber', /amber|gold|yellow/],
+  ['brown', /brown|dark|black/]
+]
+
+// eye shadow colours that complement each eye colour
+const eyeShadowPalettes = {
+  blue: ['#b87333', '#cd7f32', '#e8a87c', '#8b5a2b'],
+  green: ['#8e4585', '#b784a7', '#a0522d', '#6d3b47'],
+  hazel: ['#6b8e23', '#b8860b', '#7d5a87', '#8b4513'],
+  brown: ['#5b3f6e', '#8b6914', '#4b6f44', '#2f4f6f'],
+  grey: ['#4a4a4a', '#a9a9b0', '#5b5f8f', '#6e4a5e'],
+  amber: ['#6a4c93', '#556b2f', '#8b3a3a'],
+  unknown: ['#8b6f5a', '#a0785a', '#6e5a4e']
+}
+
+const eyelinerColor = { red: 0, green: 0, blue: 0 }
+
+function classifyEyeColor (hdpt) {
+  if (!hdpt) return 'unknown'
+  const name = `${EditorID(hdpt)} ${GetValue(hdpt, 'FULL')}`.toLowerCase()
+  for (const [eyeColor, pattern] of eyeColorPatterns) {
+    if (pattern.test(name)) return eyeColor
+  }
+  return 'unknown'
+}
+
+const hairColorPatterns = [
+  ['grey', /gr[ae]y|white|silver|salt/],
+  ['blonde', /blond|golden|platinum|sandy|strawberry/],
+  ['red', /red|auburn|ginger|copper/],
+  ['black', /black|raven|jet/],
+  ['brown', /brown|brunette|chestnut|dark/]
+]
+
+function classifyHairColor (clfm) {
+  const name = `${EditorID(clfm)} ${GetValue(clfm, 'FULL')}`.toLowerCase()
+  for (const [hairColor, pattern] of hairColorPatterns) {
+    if (pattern.test(name)) return hairColor
+  }
+  return 'unknown'
+}
+
+const hairColorClasses = [...hairColorPatterns.map(([hairColor]) => hairColor), 'unknown']
+const eyeColorClasses = [...Object.keys(eyeShadowPalettes)]
+
+function luminance (color) {
+  return 0.2126 * color.red + 0.7152 * color.green + 0.0722 * color.blue
+}
+
+function normalizeClassWeights (weights, classes, label, logMessage) {
+  const normalized = {}
+  for (const key in weights || {}) {
+    if (weights[key] === undefined || weights[key] === null || weights[key] === '') continue
+    const weight = Number(weights[key])
+    if (!classes.includes(key)) {
+      logMessage(`[WARN] ${label} has an unknown colour ${key}, expected one of ${classes.join(', ')}.`)
+    } else if (isNaN(weight) || weight < 0) {
+      logMessage(`[WARN] Ignoring ${label} ${key}, it should be a positive number.`)
+    } else {
+      normalized[key] = weight
+    }
+  }
+  return normalized
+}
+
+// dark and light hold the colour weights at either end of the profile's skin lightness range
+function normalizeAncestry (ancestry, ancestryIndex, logMessage) {
+  const name = ancestry.name || `ancestry #${ancestryIndex + 1}`
+  const weight = Number(ancestry.weight === undefined ? 1 : ancestry.weight)
+  const lightness = ancestry.lightness && normalizeRange(ancestry.lightness, `${name} skin lightness`, logMessage)
+  const normalized = {
+    name: name,
+    weight: isNaN(weight) ? 0 : Math.max(weight, 0),
+    lightness: lightness
+      ? { min: Math.min(Math.max(lightness.min, 0), 1), max: Math.min(Math.max(lightness.max, 0), 1) }
+      : { min: 0, max: 1 }
+  }
+  for (const [key, classes] of [['hair', hairColorClasses], ['eyes', eyeColorClasses]]) {
+    const weights = ancestry[key] || {}
+    normalized[key] = {
+      dark: normalizeClassWeights(weights.dark, classes, `${name} ${key} dark`, logMessage),
+      light: normalizeClassWeights(weights.light, classes, `${name} ${key} light`, logMessage)
+    }
+  }
+  return normalized
+}
+
+function normalizeAncestries (ancestries, logMessage) {
+  if (!Array.isArray(ancestries)) {
+    logMessage('[WARN] The ancestry profiles should be a list, ignoring them.')
+    return []
+  }
+  return ancestries.map((ancestry, ancestryIndex) => normalizeAncestry(ancestry || {}, ancestryIndex, logMessage))
+}
+
+// colour weights part way between the dark and light ends of a profile
+function interpolateWeights (weights, fraction) {
+  const interpolated = {}
+  for (const key of new Set([...Object.keys(weights.dark), ...Object.keys(weights.light)])) {
+    interpolated[key] = (1 - fraction) * (weights.dark[key] || 0) + fraction * (weights.light[key] || 0)
+  }
+  return interpolated
+}
+
+// fraction is where the NPC sits in the profile's lightness range, which is itself relative to the race's skin tones
+function ancestryTraits (ancestry, fraction) {
+  const { min, max } = ancestry.lightness
+  return {
+    name: ancestry.name,
+    lightness: min + fraction * (max - min),
+    hair: interpolateWeights(ancestry.hair, fraction),
+    eyes: interpolateWeights(ancestry.eyes, fraction)
+  }
+}
+
+function pickAncestry (ancestries, random) {
+  let ancestry
+  pickOneWeighted(ancestries, (profile) => profile.weight, random, (profile) => { ancestry = profile })
+  return ancestry
+}
+
+// the two adjacent skin template colours that blend to the given relative lightness
+function skinBlendForLightness (colors, lightness) {
+  const sorted = [...colors].sort((a, b) => luminance(a.color) - luminance(b.color))
+  const darkest = luminance(sorted[0].color)
+  const target = darkest + lightness * (luminance(sorted[sorted.length - 1].color) - darkest)
+  let i = 1
+  while (i < sorted.length - 1 && luminance(sorted[i].color) < target) i++
+  const dark = sorted[i - 1]
+  const light = sorted[i]
+  const span = luminance(light.color) - luminance(dark.color)
+  return {
+    colors: [light, dark],
+    weight: span > 0 ? Math.min(Math.max((target - luminance(dark.color)) / span, 0), 1) : 1
+  }
+}
+
+// where a skin colour sits between the race's darkest and lightest skin tones, from 0 to 1
+function relativeLightness (colors, lightness) {
+  const luminances = colors.map((data) => luminance(data.color))
+  const darkest = Math.min(...luminances)
+  const span = Math.max(...luminances) - darkest
+  return span > 0 ? Math.min(Math.max((lightness - darkest) / span, 0), 1) : 0.5
+}
+
+// a band of weighted lipstick colours for the skin tones in its lightness range, on the same scale as the ancestries
+function normalizeLipstickPalette (palette, paletteIndex, logMessage) {
+  const name = palette.name || `lipstick palette #${paletteIndex + 1}`
+  const lightness = palette.lightness && normalizeRange(palette.lightness, `${name} skin lightness`, logMessage)
+  const colors = []
+  const entries = Array.isArray(palette.colors) ? palette.colors : []
+  entries.forEach(function (entry, colorIndex) {
+    const label = `Lipstick palette ${name} colour #${colorIndex + 1}`
+    const color = parseSettingColor(entry ? entry.color : entry, label, logMessage)
+    const weight = Number(!entry || entry.weight === undefined || entry.weight === '' ? 1 : entry.weight)
+    if (!color) return
+    if (isNaN(weight) || weight < 0) {
+      logMessage(`[WARN] Ignoring ${label}, its weight should be a positive number.`)
+      return
+    }
+    if (weight > 0) colors.push({ color, weight })
+  })
+  return {
+    name: name,
+    lightness: lightness
+      ? { min: Math.min(Math.max(lightness.min, 0), 1), max: Math.min(Math.max(lightness.max, 0), 1) }
+      : { min: 0, max: 1 },
+    colors: colors
+  }
+}
+
+function normalizeLipstickPalettes (palettes, logMessage) {
+  if (!Array.isArray(palettes)) {
+    logMessage('[WARN] The lipstick palettes should be a list, ignoring them.')
+    return []
+  }
+  return palettes.map((palette, paletteIndex) => normalizeLipstickPalette(palette || {}, paletteIndex, logMessage))
+}
+
+// the colours of every band the skin tone falls in, so overlapping bands mix
+function lipstickColors (palettes, skinTone) {
+  const colors = []
+  for (const palette of palettes) {
+    if (skinTone >= palette.lightness.min && skinTone <= palette.lightness.max) colors.push(...palette.colors)
+  }
+  return colors
+}
+
+function randomRange (random, range) {
+  return range.min + randomf(random) * (range.max - range.min)
+}
+
+function randomCount (random, range) {
+  return range.min + random(range.max - range.min + 1)
+}
+
+const FIST_WEAPON_PATTERN = /Unarmed|HandToHand|Fist|Knuckle|Boxing/i
+const MELEE_WEAPON_PATTERN = /WeaponTypeMelee|OneHand|TwoHand/i
+const MELEE_COMBAT_STYLE_PATTERN = /Melee|Brawl|Unarmed|Boxer|Fist/i
+
+function floatValue (element, path, defaultValue = 0) {
+  return HasElement(element, path) ? GetFloatValue(element, path) : defaultValue
+}
+
+// 'fists', 'melee' or '' for guns, grenades and everything else
+function weaponStyle (weapon) {
+  const keywords = [...recordKeywords(weapon)].join(' ')
+  const animationType = HasElement(weapon, 'DNAM\\Animation Type') ? GetValue(weapon, 'DNAM\\Animation Type') : ''
+  if (FIST_WEAPON_PATTERN.test(keywords) || FIST_WEAPON_PATTERN.test(animationType)) return 'fists'
+  if (MELEE_WEAPON_PATTERN.test(keywords) || MELEE_WEAPON_PATTERN.test(animationType)) return 'melee'
+  return ''
+}
+
+// the weapon styles a weapon, outfit or leveled item list can hand out
+// the (possibly incomplete) result is cached before recursing, so lists that contain themselves terminate
+function itemStyles (item, cache) {
+  const key = LongName(item)
+  if (cache.has(key)) return cache.get(key)
+  const styles = new Set()
+  cache.set(key, styles)
+
+  const addStyles = (element, path) => {
+    const linked = GetLinksTo(element, path)
+    if (!linked) return
+    WithHandle(linked, (linked) => {
+      for (const style of itemStyles(linked, cache)) styles.add(style)
+    })
+  }
+
+  WithHandle(GetWinningOverride(item), (record) => {
+    switch (Signature(record)) {
+      case 'WEAP': {
+        const style = weaponStyle(record)
+        if (style) styles.add(style)
+        break
+      }
+      case 'LVLI':
+        if (!HasElement(record, 'Leveled List Entries')) break
+        WithHandles(GetElements(record, 'Leveled List Entries'), (entries) => {
+          for (const entry of entries) addStyles(entry, 'LVLO\\Reference')
+        })
+        break
+      case 'OTFT':
+        if (!HasElement(record, 'INAM')) break
+        WithHandles(GetElements(record, 'INAM'), (items) => {
+          for (const outfitItem of items) addStyles(outfitItem, '')
+        })
+        break
+    }
+  })
+  return styles
+}
+
+// does the NPC fight with their fists or a melee weapon?
+// looks at the inventory, the default outfit and the combat style
+function combatHistory (npc, cache) {
+  const styles = new Set()
+  const addStyles = (element, path) => {
+    const item = GetLinksTo(element, path)
+    if (!item) return
+    WithHandle(item, (item) => {
+      for (const style of itemStyles(item, cache)) styles.add(style)
+    })
+  }
+
+  if (HasElement(npc, 'Items')) {
+    WithHandles(GetElements(npc, 'Items'), (items) => {
+      for (const item of items) addStyles(item, 'CNTO\\Item')
+    })
+  }
+  if (HasElement(npc, 'DOFT')) addStyles(npc, 'DOFT')
+
+  let meleeCombatStyle = false
+  if (HasElement(npc, 'ZNAM')) {
+    const combatStyle = GetLinksTo(npc, 'ZNAM')
+    if (combatStyle) {
+      meleeCombatStyle = WithHandle(combatStyle, (combatStyle) => WithHandle(GetWinningOverride(combatStyle), (csty) =>
+        MELEE_COMBAT_STYLE_PATTERN.test(EditorID(csty)) ||
+        floatValue(csty, 'CSGD\\Equipment Score Mult - Melee') > floatValue(csty, 'CSGD\\Equipment Score Mult - Ranged', 1)
+      ))
+    }
+  }
+
+  return {
+    fists: styles.has('fists'),
+    melee: styles.has('melee') || meleeCombatStyle
+  }
+}
+
+// ageing scales wrinkles and body changes, from 0 (none) to 1 (elderly)
+const ageClasses = {
+  child: { ageing: 0, greyingChance: 0 },
+  young: { ageing: 0, greyingChance: 0 },
+  adult: { ageing: 0.15, greyingChance: 0.02 },
+  middleAged: { ageing: 0.5, greyingChance: 0.3 },
+  elderly: { ageing: 1, greyingChance: 0.9 }
+}
+
+// how far an elderly body moves from the blended preset, per MRSV field
+const ageBodyOffsets = {
+  'Upper Torso': -0.1,
+  Arms: -0.15,
+  'Lower Torso': 0.15,
+  Legs: -0.1
+}
+
+// matched against voice type, class and keyword EditorIDs, old voice types are the usual giveaway
+const ELDERLY_PATTERN = /Old(?![a-z])|Elder/
+const YOUNG_PATTERN = /Young(?![a-z])/
+const AGED_PRESET_PATTERN = /Old|Elder|Aged|Senior|Grand/i
+
+function ageMappingFile (settings) {
+  return settings.ageMappingPath || `${patcherPath}/ages.json`
+}
+
+function loadAgeMapping (path, logMessage) {
+  const mapping = loadJsonFile(path, {})
+  for (const table of ['npcs', 'keywords', 'classes', 'voiceTypes']) {
+    mapping[table] = mapping[table] || {}
+    for (const key in mapping[table]) {
+      if (ageClasses[mapping[table][key]]) continue
+      logMessage(`[WARN] ${path}: ${table}.${key} has an unknown age ${mapping[table][key]}, expected one of ${Object.keys(ageClasses).join(', ')}.`)
+      delete mapping[table][key]
+    }
+  }
+  return mapping
+}
+
+// the mapping file wins, then EditorID patterns, and anyone else gets a random age
+function npcAge (npc, edid, mapping, distribution, random) {
+  const voiceType = linkedEditorID(npc, 'VTCK')
+  const npcClass = linkedEditorID(npc, 'CNAM')
+  const keywords = [...recordKeywords(npc)]
+
+  if (mapping.npcs[edid]) return mapping.npcs[edid]
+  for (const keyword of keywords) {
+    if (mapping.keywords[keyword]) return mapping.keywords[keyword]
+  }
+  if (mapping.classes[npcClass]) return mapping.classes[npcClass]
+  if (mapping.voiceTypes[voiceType]) return mapping.voiceTypes[voiceType]
+
+  const names = [voiceType, npcClass, ...keywords]
+  if (names.some((name) => ELDERLY_PATTERN.test(name))) return 'elderly'
+  if (names.some((name) => YOUNG_PATTERN.test(name))) return 'young'
+  return pickWeighted(distribution, random)
+}
+
+function isGreyHairColor (clfm) {
+  return classifyHairColor(clfm) === 'grey'
+}
+
+// the colour a colour form holds, false if it can't be read
+function colorFormColor (clfm, cache) {
+  const key = LongName(clfm)
+  if (!cache.has(key)) cache.set(key, parseColor(GetValue(clfm, 'CNAM')))
+  return cache.get(key)
+}
+
+// beards mostly match the hair, sometimes take the next shade lighter or darker, and grey sooner
+function pickFacialHairColor (hairColor, data, age, settings, random, colorCache) {
+  const greyingChance = Math.min(age.greyingChance * settings.facialHairGreying, 1)
+  if (data.greyHairColors.length && randomf(random) < greyingChance) {
+    return data.greyHairColors[random(data.greyHairColors.length)]
+  }
+  if (isGreyHairColor(hairColor) || randomf(random) >= settings.facialHairVariation) return hairColor
+  const shades = data.hairColors
+    .filter((color) => !isGreyHairColor(color) && colorFormColor(color, colorCache))
+    .sort((a, b) => luminance(colorFormColor(a, colorCache)) - luminance(colorFormColor(b, colorCache)))
+  const index = shades.findIndex((color) => LongName(color) === LongName(hairColor))
+  if (index < 0 || shades.length < 2) return hairColor
+  const step = randomf(random) < 0.5 ? -1 : 1
+  return shades[index + step] || shades[index - step]
+}
+
+// brows take the colour of the hair, a little darker if the settings ask for it
+function colorEyebrows (tint, hairColor, settings, colorCache) {
+  const color = hairColor && colorFormColor(hairColor, colorCache)
+  if (!color) return
+  const darkness = 1 - Math.min(Math.max(settings.eyebrowDarkening, 0), 1)
+  Object.assign(tint, {
+    type: 'Value/Color',
+    templateColor: -1,
+    red: RGBtosRGB(color.red * darkness),
+    green: RGBtosRGB(color.green * darkness),
+    blue: RGBtosRGB(color.blue * darkness)
+  })
+}
+
+// LooksMenu's gender values, 1 and 2 are female and male, anything else is both
+const looksMenuGenders = {
+  1: 'female',
+  2: 'male',
+  female: 'female',
+  male: 'male'
+}
+const looksMenuBothGenders = [0, 3, 'both', 'any']
+
+// Form is the hex FormID of a colour in the plugin the directory is named after
+// six digits or fewer are relative to the plugin itself, eight include the master index
+function looksMenuColorRecord (colorFile, form) {
+  const formID = typeof form === 'number' ? form : parseInt(String(form).replace(/^0x/i, ''), 16)
+  if (isNaN(formID)) return 0
+  const localFormID = formID > 0xffffff ? formID : ((GetMasterNames(colorFile).length << 24) | formID) >>> 0
+  try {
+    return GetRecord(colorFile, localFormID)
+  } catch (e) {
+    return 0
+  }
+}
+
+// reads F4SE/Plugins/F4EE/LUTs/<plugin>/HairColors.json into the races' hair colours
+// returns the LUT of each colour, by LongName
+function loadLooksMenuHairColors (hairColorDir, races, raceRecords, logMessage) {
+  const LUTs = new Map()
+  for (const modDir of hairColorDir.list()) {
+    if (hairColorDir.exists(modDir) !== 'dir') continue
+    const patchDir = hairColorDir.cwd(modDir)
+    if (patchDir.exists('HairColors.json') !== 'file') continue
+    const fileName = patchDir.path('HairColors.json')
+    const colorFile = GetElement(0, modDir)
+    if (!colorFile) {
+      logMessage(`[WARN] ${fileName} is for ${modDir}, which isn't loaded.`)
+      continue
+    }
+    const hairColorData = loadJsonFile(fileName, {})
+    const colors = Array.isArray(hairColorData) ? hairColorData : hairColorData.Colors
+    if (!Array.isArray(colors)) {
+      logMessage(`[WARN] ${fileName} has no list of Colors.`)
+      continue
+    }
+    colors.forEach((color, index) => {
+      const label = `${fileName} color #${index + 1}`
+      const { Form, Races, Gender, LUT } = color || {}
+      const clfm = Form === undefined ? 0 : looksMenuColorRecord(colorFile, Form)
+      if (!clfm) {
+        logMessage(`[WARN] ${label}: couldn't find the color ${Form} in ${modDir}.`)
+        return
+      }
+      const winningColor = GetWinningOverride(clfm)
+      const colorRaces = []
+      // colours without races are for everyone
+      for (const raceEDID of Races === undefined ? [...races.keys()] : asList(Races)) {
+        if (races.has(raceEDID)) {
+          colorRaces.push(races.get(raceEDID))
+        } else if (!raceRecords.has(raceEDID)) {
+          logMessage(`[WARN] ${label}: there's no race ${raceEDID}.`)
+        }
+      }
+      const genderKey = typeof Gender === 'string' ? Gender.toLowerCase() : Gender
+      const gender = looksMenuGenders[genderKey]
+      if (Gender !== undefined && !gender && !looksMenuBothGenders.includes(genderKey)) {
+        logMessage(`[WARN] ${label}: unknown Gender ${Gender}, using it for both.`)
+      }
+      for (const raceData of colorRaces) {
+        switch (gender) {
+          case 'female':
+            raceData.femaleData.hairColors.push(winningColor)
+            break
+          case 'male':
+            raceData.maleData.hairColors.push(winningColor)
+            break
+          default:
+            raceData.neutralHairColors.push(winningColor)
+        }
+      }
+      if (LUT) LUTs.set(LongName(winningColor), LUT)
+    })
+  }
+  return LUTs
+}
+
+// older NPCs are drawn from the older looking presets, younger ones avoid them
+function agedPresetPool (presets, age, random) {
+  const aged = presets.filter((preset) => AGED_PRESET_PATTERN.test(preset.name))
+  const unaged = presets.filter((preset) => !AGED_PRESET_PATTERN.test(preset.name))
+  if (aged.length >= 2 && randomf(random) < ageClasses[age].ageing) return aged
+  if (unaged.length >= 2) return unaged
+  return presets
+}
+
+const FAMILY_FACTION_PATTERN = /Family/i
+// association types (ASTP) that imply a blood relationship, unlike Spouse or Courting
+const KINSHIP_ASSOCIATION_PATTERN = /Parent|Child|Sibling|Brother|Sister|Cousin|Aunt|Uncle|Grand/i
+
+function surname (npc) {
+  const names = GetValue(npc, 'FULL').trim().split(/\s+/)
+  if (names.length < 2) return
+  return names[names.length - 1]
+}
+
+// groups NPCs sharing a surname, a family faction or a blood relationship (RELA)
+// returns arrays of EditorIDs, one per family of two or more members
+function findFamilies (npcs, relationships) {
+  const families = UnionFind()
+  const firstMembers = new Map()
+  const editorIDs = new Set()
+
+  const addToGroup = (groupKey, edid) => {
+    if (firstMembers.has(groupKey)) {
+      families.union(firstMembers.get(groupKey), edid)
+    } else {
+      firstMembers.set(groupKey, edid)
+    }
+  }
+
+  for (const npc of npcs) {
+    const edid = EditorID(npc)
+    if (!edid) continue
+    editorIDs.add(edid)
+    // generic NPCs share names like "Raider Scum", which are not surnames
+    if (GetIsUnique(npc)) {
+      const name = surname(npc)
+      if (name) addToGroup(`surname:${name}`, edid)
+    }
+    for (const faction of npcFactions(npc)) {
+      if (FAMILY_FACTION_PATTERN.test(faction)) addToGroup(`faction:${faction}`, edid)
+    }
+  }
+
+  for (const relationship of relationships) {
+    const association = linkedEditorID(relationship, 'DATA\\Association Type')
+    if (!KINSHIP_ASSOCIATION_PATTERN.test(association)) continue
+    const parent = linkedEditorID(relationship, 'DATA\\Parent')
+    const child = linkedEditorID(relationship, 'DATA\\Child')
+    if (!editorIDs.has(parent) || !editorIDs.has(child)) continue
+    families.union(parent, child)
+  }
+
+  return families.groups().filter((members) => members.length >= 2)
+}
+
+// the appearance shared by every member of a family; members vary from it by kinshipVariation
+function createFamilyGenome (familyKey, seed) {
+  const random = RandomStreams(`family:${familyKey}`, seed)
+  return {
+    key: familyKey,
+    hairColor: random('hairColor')(),
+    skin: [random('skin')(), random('skin')()],
+    skinWeight: randomf(random('skin')),
+    presets: new Map()
+  }
+}
+
+function familyHairColor (genome, raceData) {
+  const hairColors = [...raceData.femaleData.hairColors, ...raceData.maleData.hairColors]
+  if (!hairColors.length) return
+  return LongName(hairColors[genome.hairColor % hairColors.length])
+}
+
+// the family face, blended from two presets the first time a member of that race and sex needs it
+function familyPreset (genome, raceEDID, sex, presets, seed) {
+  const key = `${raceEDID}/${sex}`
+  if (!genome.presets.has(key)) {
+    let preset = null
+    if (presets.length >= 2) {
+      const random = Random(`family:${genome.key}`, seed, `morphs/${key}`)
+      const [parent1, parent2] = pickTwo(presets, random)
+      preset = blendPresets(parent1, parent2, grandom(random))
+      preset.name = `family of ${genome.key} (${parent1.name} + ${parent2.name})`
+    }
+    genome.presets.set(key, preset)
+  }
+  return genome.presets.get(key)
+}
+
+const WRINKLE_PATTERN = /Wrinkle|Crow|Laugh|Frown|Forehead Line|Aging|Ageing/i
+
+function loadTintLayers (race, key, logMessage) {
+  const tints = {}
+  for (const target of tintTargets) {
+    tints[target] = []
+  }
+  for (const group of GetElements(race, key)) {
+    const groupName = GetValue(group, 'TTGP')
+    for (const option of GetElements(group, 'Options')) {
+      const optionData = {}
+      const teti = GetElement(option, 'TETI')
+      const slotIndex = GetValue(teti, 'Index')
+      const optionName = GetValue(option, 'TTGP')
+      optionData.index = `${slotIndex} ${groupName} - ${optionName}`
+      if (HasElement(option, 'TTEC')) {
+        const colors = optionData.colors = []
+        for (const templateColor of GetElements(option, 'TTEC')) {
+          const clfm = GetLinksTo(templateColor, 'Color')
+          const alpha = GetFloatValue(templateColor, 'Alpha')
+          const index = GetValue(templateColor, 'Index')
+          const colorValue = GetValue(clfm, 'CNAM')
+          const color = parseColor(colorValue, logMessage, LongName(clfm))
+          if (!color) continue
+          colors.push({
+            color: color,
+            alpha: alpha,
+            index: index
+          })
+        }
+      }
+
+      let target = 'unknown'
+
+      switch (groupName) {
+        case 'FaceRegions':
+          target = WRINKLE_PATTERN.test(optionName) ? 'Wrinkles' : 'Junk'
+          break
+        case 'SkinTints':
+          target = 'Skin'
+          break
+        case 'Brows':
+          target = 'Eyebrows'
+          break
+        case 'Makeup': // Female only.
+          target = 'Makeup'
+          switch (optionName) {
+            case 'Lipstick':
+              target = 'Lipstick'
+              break
+            case 'Lip Liner':
+              target = 'Junk'
+              break
+            case 'Lip Gloss':
+            case 'Lip Matte':
+              target = 'Lips'
+          }
+          if (optionName.startsWith('Eyeliner')) target = 'Eyeliner'
+          if (optionName.includes('Shadow')) target = 'EyeShadow'
+          break
+        case 'Blemishes':
+          target = 'Blemishes'
+          if (optionName.startsWith('Lip')) target = 'Junk'
+          break
+        case 'Markings':
+          if (optionName.startsWith('Freckles')) target = 'Freckles'
+          if (optionName.startsWith('Moles')) target = 'Moles'
+          break
+        case 'Grime':
+          target = 'Dirt'
+          break
+        case 'Face Paint':
+          target = 'Raiders'
+          if (HasElement(option, 'Conditions')) {
+            for (const condition of GetElements(option, 'Conditions')) {
+              if (GetValue(condition, 'CTDA\\Function') === 'GetGlobalValue') {
+                if (EditorID(GetLinksTo(condition, 'CTDA\\Global')) === 'AtomFacePaints') {
+                  target = 'ChildrenOfAtom'
+                }
+              }
+            }
+          }
+          break
+        case 'Face Tattoos':
+          target = 'Raiders'
+          break
+        case 'Damage':
+          if (optionName.startsWith('Boxer')) target = 'Bruising'
+          if (optionName.startsWith('Scar')) target = 'Scars'
+          if (WRINKLE_PATTERN.test(optionName)) target = 'Wrinkles'
+          break
+      }
+
+      if (target === 'Junk') continue
+
+      if (target === 'unknown') {
+        logMessage(`Not sure what to do with tink mask: ${groupName}/${optionName}`)
+      }
+
+      if (!tints[target]) tints[target] = []
+      tints[target].push(optionData)
+    }
+  }
+  return tints
+}
+
+function loadFaceMorphs (race, key) {
+  const faceMorphs = new Map()
+  if (!HasElement(race, key)) return faceMorphs
+  for (const faceMorph of GetElements(race, key)) {
+    faceMorphs.set(GetIntValue(faceMorph, 'FMRI'), GetValue(faceMorph, 'FMRN'))
+  }
+  return faceMorphs
+}
+
+function loadMorphPresets (race, key) {
+  const morphPresets = new Map()
+  if (!HasElement(race, key)) return morphPresets
+  for (const group of GetElements(race, key)) {
+    const groupName = GetValue(group, 'MPGN')
+    if (!HasElement(group, 'Morph Presets')) continue
+    for (const morphPreset of GetElements(group, 'Morph Presets')) {
+      morphPresets.set(GetIntValue(morphPreset, 'MPPI'), `${groupName} - ${GetValue(morphPreset, 'MPPN')}`)
+    }
+  }
+  return morphPresets
+}
+
+// maps the indices of one sex's morphs to the indices of the other sex's morphs with the same name
+function morphTranslation (from, to) {
+  const indices = new Map()
+  for (const [index, name] of to) {
+    indices.set(name, index)
+  }
+  const translation = new Map()
+  for (const [index, name] of from) {
+    if (indices.has(name)) translation.set(index, indices.get(name))
+  }
+  return translation
+}
+
+const presetMorphFields = [
+  ['Regions', 'faceMorphs', 'face morph regions'],
+  ['Presets', 'morphPresets', 'morph sliders']
+]
+
+// keeps the preset's morphs that are valid for the sex in data, translating them from
+// the other sex when given translations
+function adaptPreset (preset, data, translations, label, logMessage) {
+  const adapted = {
+    name: translations ? `${preset.name} (translated)` : preset.name,
+    Values: preset.Values
+  }
+  for (const [field, dataKey, description] of presetMorphFields) {
+    const morphs = preset[field] || {}
+    const valid = data[dataKey]
+    // without the race's morphs there is nothing to check against
+    if (!valid.size) {
+      adapted[field] = morphs
+      continue
+    }
+    const adaptedMorphs = adapted[field] = {}
+    const invalid = []
+    for (const key in morphs) {
+      let index = parseInt(key, 10)
+      if (translations) index = translations[field].get(index)
+      if (index === undefined || !valid.has(index)) {
+        invalid.push(key)
+        continue
+      }
+      adaptedMorphs[index] = morphs[key]
+    }
+    if (invalid.length) {
+      const reason = translations ? `have no ${label} equivalent` : `aren't valid for ${label}`
+      logMessage(`[WARN] Left ${invalid.length} ${description} out of ${preset.name}, they ${reason}: ${invalid.join(', ')}`)
+    }
+  }
+  return adapted
+}
+
+function loadPresets (presetPath, fPresets, mPresets) {
+  for (const file of presetPath.list()) {
+    if (!file.endsWith('.json')) continue
+    if (presetPath.exists(file) !== 'file') continue
+    const preset = loadJsonFile(presetPath.path(file), {})
+    const morphs = preset.Morphs
+    if (!morphs) continue
+    const presetData = Object.assign({ name: file }, morphs)
+    if (parseInt(preset.Gender) === 1) {
+      fPresets.push(presetData)
+    } else {
+      mPresets.push(presetData)
+    }
+  }
+}
+
+// works out everything about the NPC's new appearance, without changing the NPC
+// variants pass the EditorID they will have, which seeds their own random streams
+function generateAppearance (npc, settings, locals, edid = EditorID(npc)) {
+  const raceEDID = linkedEditorID(npc, 'RNAM')
+  const raceData = locals.races.get(raceEDID)
+  const { femaleData, maleData } = raceData
+  const random = RandomStreams(edid, settings.seed)
+  const isFemale = GetIsFemale(npc)
+  const data = isFemale ? femaleData : maleData
+  const family = locals.families.get(edid)
+  const factions = npcFactions(npc)
+  const isChild = raceEDID === CHILD_RACE
+  const profile = appearanceProfile(
+    locals.appearanceRules,
+    factions,
+    recordKeywords(npc),
+    raceEDID,
+    settings.beardChance / 100
+  )
+  if (isChild) childProfile(profile)
+  const subject = { race: raceEDID, sex: isFemale ? 'Female' : 'Male', factions: factions }
+  const allowedHeadParts = (hdpts) => hdpts.filter((hdpt) => headPartAllowed(hdpt, subject, locals.headPartConditions))
+  const appearance = {
+    race: raceEDID,
+    isFemale: isFemale,
+    headParts: [],
+    hairColor: null,
+    facialHairColor: null,
+    eyebrows: null,
+    morphs: null,
+    skinColor: null,
+    tints: null,
+    body: null,
+    age: null,
+    ancestry: null
+  }
+  if (isChild) {
+    appearance.age = 'child'
+  } else if (settings.useAgeModel) {
+    appearance.age = npcAge(npc, edid, locals.ageMapping, settings.ageDistribution, random('age'))
+  }
+  const age = ageClasses[appearance.age] || ageClasses.young
+
+  // skin lightness, hair colour and eye colour are drawn together from an ancestry profile
+  // families share the profile and, give or take kinshipVariation, the lightness
+  const familyRandom = family && ((stream) => Random(`family:${family.key}`, settings.seed, stream))
+  let ancestry = null
+  let familyAncestry = null
+  if (settings.useAncestry && locals.ancestries.length) {
+    const ancestryRandom = random('ancestry')
+    if (family) {
+      const ancestryProfile = pickAncestry(locals.ancestries, familyRandom('ancestry'))
+      const familyFraction = randomf(familyRandom('lightness'))
+      const fraction = familyFraction + (randomf(ancestryRandom) - 0.5) * settings.kinshipVariation
+      familyAncestry = ancestryTraits(ancestryProfile, familyFraction)
+      ancestry = ancestryTraits(ancestryProfile, Math.min(Math.max(fraction, 0), 1))
+    } else {
+      ancestry = ancestryTraits(pickAncestry(locals.ancestries, ancestryRandom), randomf(ancestryRandom))
+    }
+    appearance.ancestry = ancestry.name
+  }
+
+  // races without a known set of default head parts keep whatever the NPC had, apart from the parts we pick
+  let defaultHDPTs = data.defaultHDPTs
+  if (!defaultHDPTs) {
+    defaultHDPTs = []
+    if (HasElement(npc, 'Head Parts')) {
+      for (const headPart of GetElements(npc, 'Head Parts')) {
+        const hdpt = GetLinksTo(headPart)
+        if (!hdpt) continue
+        if (maleHeadPartTypes.includes(GetValue(hdpt, 'PNAM'))) continue
+        // the game adds these itself
+        if (GetFlag(hdpt, 'DATA', 'Is Extra Part')) continue
+        defaultHDPTs.push(hdpt)
+      }
+    }
+  }
+
+  const addHeadPart = (headPart) => appearance.headParts.push(headPart)
+  defaultHDPTs.forEach(addHeadPart)
+  const pickedHeadParts = {}
+  for (const type of requiredHeadPartTypes) {
+    const pickHeadPart = (headPart) => {
+      pickedHeadParts[type] = headPart
+      addHeadPart(headPart)
+    }
+    const weight = (type === 'Eyes' && ancestry)
+      ? (hdpt) => (ancestry.eyes[classifyEyeColor(hdpt)] || 0) * headPartWeight(settings, EditorID(hdpt))
+      : (hdpt) => headPartWeight(settings, EditorID(hdpt))
+    pickOneWeighted(allowedHeadParts(data[type]), weight, random(type), pickHeadPart)
+  }
+  if (!isFemale) {
+    if (randomf(random('beardChance')) < profile.beardChance) {
+      pickOneWeighted(allowedHeadParts(maleData['Facial Hair']), (hdpt) => headPartWeight(settings, EditorID(hdpt)), random('Facial Hair'), addHeadPart)
+    }
+  }
+
+  const hairColorWeight = (traits) => (color) => traits.hair[classifyHairColor(color)] || 0
+  if (family && randomf(random('hairColor')) >= settings.kinshipVariation) {
+    let hairColorName = familyHairColor(family, raceData)
+    if (familyAncestry) {
+      const hairColors = [...raceData.femaleData.hairColors, ...raceData.maleData.hairColors]
+      pickOneWeighted(hairColors, hairColorWeight(familyAncestry), familyRandom('hairColor'), (color) => {
+        hairColorName = LongName(color)
+      })
+    }
+    appearance.hairColor = data.hairColors.find((color) => LongName(color) === hairColorName)
+  }
+  if (!appearance.hairColor) {
+    const setHairColor = (color) => { appearance.hairColor = color }
+    if (ancestry) {
+      pickOneWeighted(data.hairColors, hairColorWeight(ancestry), random('hairColor'), setHairColor)
+    } else {
+      pickOne(data.hairColors, random('hairColor'), setHairColor)
+    }
+  }
+  const greyingRandom = random('greying')
+  if (randomf(greyingRandom) < age.greyingChance) {
+    pickOne(data.greyHairColors, greyingRandom, (color) => { appearance.hairColor = color })
+  }
+  if (!isFemale && !isChild && settings.shadeFacialHair && appearance.hairColor) {
+    appearance.facialHairColor = pickFacialHairColor(appearance.hairColor, data, age, settings, random('facialHairColor'), locals.colorValues)
+  }
+
+  const morphData = data.presets || []
+  const morphDataLength = morphData.length
+  if (settings.useMorphs && morphDataLength >= 2) {
+    const morphRandom = random('morphs')
+    const pool = appearance.age ? agedPresetPool(morphData, appearance.age, morphRandom) : morphData
+    let parent1, parent2, weight
+    const genome = family && familyPreset(family, raceEDID, isFemale ? 'female' : 'male', morphData, settings.seed)
+    if (genome) {
+      // mostly the family face, with a little of someone else's
+      parent1 = genome
+      parent2 = pool[morphRandom(pool.length)]
+      weight = 1 - settings.kinshipVariation * randomf(morphRandom)
+    } else {
+      [parent1, parent2] = pickTwo(pool, morphRandom)
+      weight = grandom(morphRandom)
+    }
+
+    appearance.morphs = Object.assign(
+      {
+        parents: [parent1.name, parent2.name],
+        weight: weight
+      },
+      blendPresets(parent1, parent2, weight)
+    )
+    if (age.ageing) appearance.morphs.Values = ageBodyRegions(appearance.morphs.Values, age)
+  }
+
+  // kids keep the race's body
+  if (settings.generateBodyShapes && !isChild) {
+    const bodyProfile = bodyShapeProfile(locals.bodyShapes, factions, linkedEditorID(npc, 'CNAM'), isFemale ? 'female' : 'male')
+    appearance.body = generateBodyShape(bodyProfile, random('body'))
+    if (age.ageing) appearance.body.regions = ageBodyRegions(appearance.body.regions, age)
+  }
+
+  if (GetIsUnique(npc)) return appearance
+
+  const tintData = data.tints
+  const baseTints = []
+  // stuff hidden by concealer
+  let concealer = false
+  const blemishTints = []
+  const scarTints = []
+  const surfaceTints = []
+
+  let lightness = 0
+  // skin lightness relative to the race's skin tones
+  let skinTone = 0.5
+  var skinRed, skinGreen, skinBlue
+  const skin = tintData.Skin[0]
+  // races without skin tints keep the skin they have
+  if (skin && skin.colors && skin.colors.length >= 2) {
+    const skinRandom = random('skin')
+    const skinColor = []
+    let weight
+    if (ancestry) {
+      const blend = skinBlendForLightness(skin.colors, ancestry.lightness)
+      skinColor.push(...blend.colors)
+      weight = blend.weight
+    } else if (family) {
+      const length = skin.colors.length
+      const i1 = family.skin[0] % length
+      let i2 = family.skin[1] % (length - 1)
+      if (i2 >= i1) i2 = i2 + 1
+      skinColor.push(skin.colors[i1], skin.colors[i2])
+      weight = family.skinWeight + (randomf(skinRandom) - 0.5) * settings.kinshipVariation
+      weight = Math.min(Math.max(weight, 0), 1)
+    } else {
+      pickN(skin.colors, 2, skinRandom, (data) => {
+        skinColor.push(data)
+      })
+      weight = randomf(skinRandom)
+    }
+    if (weight <= 0.5) {
+      weight = 1 - weight
+      skinColor.reverse()
+    }
+    const w = (value1, value2) => weight * value1 + (1 - weight) * value2
+    const [skinColor1, skinColor2] = skinColor
+    const color1 = skinColor1.color
+    const color2 = skinColor2.color
+    skinRed = w(color1.red, color2.red)
+    skinGreen = w(color1.green, color2.green)
+    skinBlue = w(color1.blue, color2.blue)
+    lightness = luminance({ red: skinRed, green: skinGreen, blue: skinBlue })
+    skinTone = relativeLightness(skin.colors, lightness)
+    appearance.skinColor = {
+      red: RGBtosRGB(skinRed),
+      green: RGBtosRGB(skinGreen),
+      blue: RGBtosRGB(skinBlue)
+    }
+    baseTints.push(Object.assign({
+      type: 'Value/Color',
+      index: skin.index,
+      templateColor: skinColor1.index,
+      value: w(skinColor1.alpha, skinColor2.alpha)
+    }, appearance.skinColor))
+  }
+
+  pickOne(tintData.Eyebrows, random('eyebrows'), (data) => {
+    // coloured once the hair colour is final, in recordAppearance
+    appearance.eyebrows = {
+      type: 'Value',
+      index: data.index,
+      value: 1
+    }
+    baseTints.push(appearance.eyebrows)
+  })
+
+  if (age.ageing) {
+    const wrinkleRandom = random('wrinkles')
+    tintData.Wrinkles.forEach((data) => {
+      baseTints.push({
+        type: 'Value',
+        index: data.index,
+        value: age.ageing * settings.wrinkleIntensity * (0.75 + randomf(wrinkleRandom) * 0.25)
+      })
+    })
+  }
+
+  const { blemishes, freckles, moles } = locals.faceDetails
+  if (blemishes.enabled) {
+    const blemishRandom = random('blemishes')
+    pickN(tintData.Blemishes, randomCount(blemishRandom, blemishes.count), blemishRandom, (data) => {
+      blemishTints.push({
+        type: 'Value',
+        index: data.index,
+        value: randomRange(blemishRandom, blemishes.intensity)
+      })
+    })
+  }
+
+  // pale skin freckles more often, dark skin more faintly
+  // moles are for the unfreckled, which doesn't change when freckles are turned off
+  const freckleRandom = random('freckles')
+  if (randomf(freckleRandom) * lightness >= 1 - freckles.chance) {
+    if (freckles.enabled) {
+      tintData.Freckles.forEach((data) => {
+        blemishTints.push({
+          type: 'Value',
+          index: data.index,
+          value: randomRange(freckleRandom, freckles.intensity) * (1 - lightness)
+        })
+      })
+    }
+  } else if (moles.enabled) {
+    const moleRandom = random('moles')
+    if (randomf(moleRandom) < moles.chance) {
+      pickN(tintData.Moles, randomCount(moleRandom, moles.count), moleRandom, (data) => {
+        blemishTints.push({
+          type: 'Value',
+          index: data.index,
+          value: randomRange(moleRandom, moles.intensity)
+        })
+      })
+    }
+  }
+
+  if (isFemale) {
+    if (settings.applyFoundation && randomf(random('foundation')) < profile.foundationChance) {
+      concealer = true
+    }
+    if (settings.applyMakeup && randomf(random('makeup')) < profile.makeupChance) {
+      const lipstick = tintData.Lipstick[0]
+      if (lipstick) {
+        // a colour from the palette bands for the skin tone, or a blend of the pale and dark colours outside them
+        let color = null
+        pickOneWeighted(lipstickColors(locals.lipstickPalettes, skinTone), (entry) => entry.weight, random('lipstick'), (entry) => {
+          color = entry.color
+        })
+        if (!color && locals.paleLipstickColor && locals.darkLipstickColor) {
+          const w = (value1, value2) => lightness * value1 + (1 - lightness) * value2
+          const paleColor = locals.paleLipstickColor
+          const darkColor = locals.darkLipstickColor
+          color = {
+            red: w(paleColor.red, darkColor.red),
+            green: w(paleColor.green, darkColor.green),
+            blue: w(paleColor.blue, darkColor.blue)
+          }
+        }
+        if (color) {
+          surfaceTints.push({
+            type: 'Value/Color',
+            index: lipstick.index,
+            templateColor: -1,
+            value: color.alpha === undefined ? 1.0 : color.alpha,
+            red: RGBtosRGB(color.red),
+            green: RGBtosRGB(color.green),
+            blue: RGBtosRGB(color.blue)
+          })
+        }
+      }
+
+      // Lip Gloss/Matte
+      const lipRandom = random('lips')
+      pickOne(tintData.Lips, lipRandom, (data) => {
+        surfaceTints.push({
+          type: 'Value',
+          index: data.index,
+          value: randomf(lipRandom)
+        })
+      })
+
+      const eyeRandom = random('eyeMakeup')
+      if (randomf(eyeRandom) < settings.eyeMakeupChance) {
+        pickOne(tintData.Eyeliner, eyeRandom, (data) => {
+          surfaceTints.push({
+            type: 'Value/Color',
+            index: data.index,
+            templateColor: -1,
+            value: settings.eyelinerIntensity * (0.6 + randomf(eyeRandom) * 0.4),
+            red: RGBtosRGB(eyelinerColor.red),
+            green: RGBtosRGB(eyelinerColor.green),
+            blue: RGBtosRGB(eyelinerColor.blue)
+          })
+        })
+        const palette = locals.eyeShadowPalettes[classifyEyeColor(pickedHeadParts.Eyes)]
+        pickOne(tintData.EyeShadow, eyeRandom, (data) => {
+          pickOne(palette, eyeRandom, (color) => {
+            surfaceTints.push({
+              type: 'Value/Color',
+              index: data.index,
+              templateColor: -1,
+              value: settings.eyeMakeupIntensity * (0.5 + randomf(eyeRandom) * 0.5),
+              red: RGBtosRGB(color.red),
+              green: RGBtosRGB(color.green),
+              blue: RGBtosRGB(color.blue)
+            })
+          })
+        })
+      }
+    }
+  }
+
+  const { dirt, scars, facePaint } = locals.faceDetails
+  if (dirt.enabled) {
+    const dirtRandom = random('dirt')
+    pickN(tintData.Dirt, randomCount(dirtRandom, profile.dirt.count), dirtRandom, (data) => {
+      surfaceTints.push({
+        type: 'Value/Color',
+        index: data.index,
+        templateColor: -1,
+        value: randomRange(dirtRandom, profile.dirt.intensity),
+        red: RGBtosRGB(randomf(dirtRandom)),
+        green: RGBtosRGB(randomf(dirtRandom)),
+        blue: RGBtosRGB(randomf(dirtRandom))
+      })
+    })
+  }
+
+  if (scars.enabled) {
+    const scarRandom = random('scars')
+    pickN(tintData.Scars, randomCount(scarRandom, profile.scars.count), scarRandom, (data) => {
+      scarTints.push({
+        type: 'Value',
+        index: data.index,
+        value: randomRange(scarRandom, profile.scars.intensity)
+      })
+    })
+  }
+
+  // brawlers get boxer's bruises, anyone up close gets a few more scars
+  if (settings.applyInjuries && !isChild) {
+    const history = combatHistory(npc, locals.combatStyleCache)
+    if (history.fists || history.melee) {
+      const injuryRandom = random('injuries')
+      const bruiseChance = history.fists ? 1 : settings.meleeBruisingChance
+      if (randomf(injuryRandom) < bruiseChance) {
+        pickN(tintData.Bruising, injuryRandom(2) + 1, injuryRandom, (data) => {
+          scarTints.push({
+            type: 'Value',
+            index: data.index,
+            value: randomRange(injuryRandom, { min: 0.2, max: settings.bruisingIntensity })
+          })
+        })
+      }
+      const scarred = new Set(scarTints.map((tint) => tint.index))
+      const unscarred = scars.enabled ? tintData.Scars.filter((data) => !scarred.has(data.index)) : []
+      const intensity = { min: profile.scars.intensity.max / 2, max: profile.scars.intensity.max }
+      pickN(unscarred, injuryRandom(locals.extraInjuryScars) + 1, injuryRandom, (data) => {
+        scarTints.push({
+          type: 'Value',
+          index: data.index,
+          value: randomRange(injuryRandom, intensity)
+        })
+      })
+    }
+  }
+
+  const facePaintRandom = random('facePaint')
+  if (facePaint.enabled && randomf(facePaintRandom) < profile.facePaint.chance) {
+    const facePaints = []
+    for (const pool of profile.facePaint.pools) {
+      facePaints.push(...tintData[pool])
+    }
+    pickOne(facePaints, facePaintRandom, (data) => {
+      surfaceTints.push({
+        type: 'Value',
+        index: data.index,
+        value: randomRange(facePaintRandom, profile.facePaint.intensity)
+      })
+    })
+  }
+
+  if (concealer) {
+    // don't apply blemishes
+    // minimise scars
+    scarTints.forEach((tint) => {
+      tint.value = tint.value / 4
+    })
+    appearance.tints = [...baseTints, ...scarTints, ...surfaceTints]
+  } else {
+    appearance.tints = [...baseTints, ...blemishTints, ...scarTints, ...surfaceTints]
+  }
+
+  return appearance
+}
+
+function writeAppearance (npc, appearance) {
+  const headPartPath = arrayPath()
+  RemoveElement(npc, 'Head Parts')
+  WithHandle(AddElement(npc, 'Head Parts'), (headParts) => {
+    for (const headPart of appearance.headParts) {
+      setLinksTo(headParts, headPartPath(), headPart)
+    }
+  })
+
+  if (appearance.hairColor) setLinksTo(npc, 'HCLF', appearance.hairColor)
+  if (appearance.facialHairColor) {
+    setLinksTo(npc, 'BCLF', appearance.facialHairColor)
+  } else {
+    RemoveElement(npc, 'BCLF')
+  }
+
+  const morphs = appearance.morphs
+  if (morphs) {
+    RemoveElement(npc, 'Face Morphs')
+    WithHandle(AddElement(npc, 'Face Morphs'), (faceMorphs) => {
+      const faceMorphPath = arrayPath()
+      for (const morphIndex in morphs.Regions) {
+        const values = morphs.Regions[morphIndex]
+        WithHandle(AddElement(faceMorphs, faceMorphPath()), (faceMorph) => {
+          SetValue(faceMorph, 'FMRI', morphIndex)
+          WithHandle(AddElement(faceMorph, 'FMRS'), (fmrs) => {
+            FMRSFields.forEach((fieldName, index) => {
+              SetFloatValue(fmrs, fieldName, values[index])
+            })
+          })
+        })
+      }
+    })
+
+    RemoveElement(npc, 'MSDK')
+    RemoveElement(npc, 'MSDV')
+    WithHandles(
+      [AddElement(npc, 'MSDK'), AddElement(npc, 'MSDV')],
+      ([MSDK, MSDV]) => {
+        for (const key in morphs.Presets) {
+          WithHandles(
+            [AddElement(MSDK, '.'), AddElement(MSDV, '.')],
+            ([msdk, msdv]) => {
+              SetValue(msdk, key)
+              SetFloatValue(msdv, morphs.Presets[key])
+            }
+          )
+        }
+      }
+    )
+
+    RemoveElement(npc, 'FMIN')
+  }
+
+  // a generated body shape wins over the presets' one
+  const body = appearance.body
+  const regionValues = body ? body.regions : morphs && morphs.Values
+  if (regionValues) {
+    WithHandle(AddElement(npc, 'MRSV'), (mrsv) => {
+      MRSVFields.forEach((fieldName, index) => {
+        SetFloatValue(mrsv, fieldName, regionValues[index])
+      })
+    })
+  }
+  if (body) {
+    WithHandle(AddElement(npc, 'MWGT'), (mwgt) => {
+      SetFloatValue(mwgt, 'Thin', body.weight.thin)
+      SetFloatValue(mwgt, 'Muscular', body.weight.muscular)
+      SetFloatValue(mwgt, 'Fat', body.weight.fat)
+    })
+  }
+
+  if (appearance.tints) {
+    RemoveElement(npc, 'Face Tinting Layers')
+    WithHandle(AddElement(npc, 'Face Tinting Layers'), (faceTints) => {
+      const layerPath = arrayPath()
+      for (const tint of appearance.tints) {
+        WithHandle(AddElement(faceTints, layerPath()), (layer) => {
+          WithHandles(
+            [AddElement(layer, 'TETI'), AddElement(layer, 'TEND')],
+            ([teti, tend]) => {
+              SetValue(teti, 'Data Type', tint.type)
+              SetValue(teti, 'Index', tint.index)
+              // displayed as a float, stored as an integer percentage
+              SetIntValue(tend, 'Value', tint.value * 100)
+              if (tint.type === 'Value/Color') {
+                SetIntValue(tend, 'Template Color Index', tint.templateColor)
+                WithHandle(AddElement(tend, 'Color'), (color) => {
+                  SetIntValue(color, 'Red', tint.red)
+                  SetIntValue(color, 'Green', tint.green)
+                  SetIntValue(color, 'Blue', tint.blue)
+                })
+              }
+            }
+          )
+        })
+      }
+    })
+  }
+}
+
+// traits an override can lock or pin, and the head part type behind each
+const overrideTraits = {
+  hair: 'Hair',
+  eyes: 'Eyes',
+  beard: 'Facial Hair',
+  hairColor: null,
+  morphs: null,
+  tints: null,
+  body: null
+}
+
+function overridesFile (settings) {
+  return settings.overridesPath || `${patcherPath}/overrides.json`
+}
+
+// keyed by EditorID or FormID, both upper case so the file doesn't have to be
+function loadNpcOverrides (path, logMessage) {
+  const overrides = new Map()
+  const data = loadJsonFile(path, {})
+  for (const key in data) {
+    const override = data[key] || {}
+    const lock = asList(override.lock).filter((trait) => {
+      if (hasOwnProperty(overrideTraits, trait)) return true
+      logMessage(`[WARN] ${path}: ${key} locks an unknown trait ${trait}, expected one of ${Object.keys(overrideTraits).join(', ')}.`)
+      return false
+    })
+    const pin = {}
+    for (const trait in override.pin || {}) {
+      if (trait === 'tints' || trait === 'body' || !hasOwnProperty(overrideTraits, trait)) {
+        logMessage(`[WARN] ${path}: ${key} pins ${trait}, only hair, eyes, beard, hairColor and morphs can be pinned.`)
+        continue
+      }
+      pin[trait] = override.pin[trait]
+    }
+    overrides.set(key.toUpperCase(), {
+      exclude: Boolean(override.exclude),
+      lock: lock,
+      pin: pin
+    })
+  }
+  return overrides
+}
+
+function npcOverride (npc, overrides) {
+  if (!overrides.size) return
+  return overrides.get(EditorID(npc).toUpperCase()) || overrides.get(GetHexFormID(npc).toUpperCase())
+}
+
+function currentHeadParts (npc) {
+  if (!HasElement(npc, 'Head Parts')) return []
+  return GetElements(npc, 'Head Parts').map((headPart) => GetLinksTo(headPart)).filter((hdpt) => hdpt)
+}
+
+// a pinned head part or colour, by EditorID or by LooksMenu's plugin|FormID
+function pinnedForm (value, formsByEditorID, locals) {
+  if (isLooksMenuID(value)) return locals.formsByLooksMenuID.get(looksMenuKey(value))
+  return formsByEditorID.get(value)
+}
+
+// locked traits keep what the NPC already has, pinned traits get the given value
+function applyNpcOverride (npc, appearance, override, locals, logMessage) {
+  const replaceHeadParts = (type, headParts) => {
+    appearance.headParts = appearance.headParts
+      .filter((hdpt) => GetValue(hdpt, 'PNAM') !== type)
+      .concat(headParts)
+  }
+
+  for (const trait of override.lock) {
+    const type = overrideTraits[trait]
+    if (type) {
+      replaceHeadParts(type, currentHeadParts(npc).filter((hdpt) => GetValue(hdpt, 'PNAM') === type))
+    } else if (trait === 'hairColor') {
+      appearance.hairColor = HasElement(npc, 'HCLF') ? GetLinksTo(npc, 'HCLF') : null
+      appearance.facialHairColor = HasElement(npc, 'BCLF') ? GetLinksTo(npc, 'BCLF') : null
+    } else if (trait === 'morphs') {
+      appearance.morphs = null
+    } else if (trait === 'tints') {
+      appearance.tints = null
+      appearance.skinColor = null
+    } else if (trait === 'body') {
+      appearance.body = null
+    }
+  }
+
+  for (const trait in override.pin) {
+    const value = override.pin[trait]
+    const type = overrideTraits[trait]
+    if (type) {
+      const hdpt = pinnedForm(value, locals.headPartsByEditorID, locals)
+      if (!hdpt) {
+        logMessage(`[WARN] Couldn't find the head part ${value} pinned as the ${trait} of ${LongName(npc)}.`)
+        continue
+      }
+      replaceHeadParts(type, [hdpt])
+    } else if (trait === 'hairColor') {
+      const clfm = pinnedForm(value, locals.colorsByEditorID, locals)
+      if (!clfm) {
+        logMessage(`[WARN] Couldn't find the hair colour ${value} pinned for ${LongName(npc)}.`)
+        continue
+      }
+      appearance.hairColor = clfm
+      if (appearance.facialHairColor) appearance.facialHairColor = clfm
+    } else if (trait === 'morphs') {
+      const raceData = locals.races.get(appearance.race)
+      const data = appearance.isFemale ? raceData.femaleData : raceData.maleData
+      const preset = (data.presets || []).find((preset) => preset.name === value || preset.name === `${value}.json`)
+      if (!preset) {
+        logMessage(`[WARN] Couldn't find the preset ${value} pinned for ${LongName(npc)}.`)
+        continue
+      }
+      appearance.morphs = Object.assign({ parents: [preset.name, preset.name], weight: 1 }, blendPresets(preset, preset, 1))
+    }
+  }
+}
+
+// NPCs another plugin already gave a new face, and what to do about them, per plugin
+const FACE_ELEMENTS = ['Head Parts', 'Face Morphs', 'MSDK', 'MSDV', 'MRSV', 'Face Tinting Layers']
+
+const faceModPolicies = {
+  skip: 'left alone',
+  tints: 'kept their face and got tints added',
+  overwrite: 'got a new face anyway'
+}
+
+function faceData (record) {
+  return hashOf(FACE_ELEMENTS.map((path) => HasElement(record, path) ? WithHandle(GetElement(record, path), ElementToJSON) : null))
+}
+
+function recordFileName (record) {
+  return WithHandle(GetElementFile(record), GetFileName)
+}
+
+// the plugin that gave the NPC the face it has now, or nothing if it still has the face it was made with
+function faceModPlugin (npc, patchFileName) {
+  return WithHandle(GetMasterRecord(npc), (master) => WithHandles(GetOverrides(master), (overrides) => {
+    overrides = overrides.filter((record) => recordFileName(record) !== patchFileName)
+    if (!overrides.length) return null
+    const faces = overrides.map(faceData)
+    const winningFace = faces[faces.length - 1]
+    if (winningFace === faceData(master)) return null
+    // later plugins often carry the face forward, the one that changed it is the first to have it
+    return recordFileName(overrides[faces.indexOf(winningFace)])
+  }))
+}
+
+function normalizeFaceModPolicies (settings, logMessage) {
+  const policies = new Map()
+  let defaultPolicy = settings.defaultFaceModPolicy
+  if (!hasOwnProperty(faceModPolicies, defaultPolicy)) {
+    logMessage(`[WARN] Unknown face mod policy ${defaultPolicy}, expected one of ${Object.keys(faceModPolicies).join(', ')}. Skipping those NPCs.`)
+    defaultPolicy = 'skip'
+  }
+  for (const plugin in settings.faceModPolicies || {}) {
+    const policy = settings.faceModPolicies[plugin]
+    if (!policy) continue
+    if (!hasOwnProperty(faceModPolicies, policy)) {
+      logMessage(`[WARN] Unknown face mod policy ${policy} for ${plugin}, expected one of ${Object.keys(faceModPolicies).join(', ')}.`)
+      continue
+    }
+    policies.set(plugin.toLowerCase(), policy)
+  }
+  return { policies, defaultPolicy }
+}
+
+// what happens to an NPC another plugin redesigned, and that plugin
+function pluginFaceModPolicy (npc, settings, locals) {
+  const plugin = faceModPlugin(npc, settings.patchFileName)
+  if (!plugin) return { plugin: null, policy: 'overwrite' }
+  const { policies, defaultPolicy } = locals.faceModPolicies
+  return { plugin: plugin, policy: policies.get(plugin.toLowerCase()) || defaultPolicy }
+}
+
+// the same, remembered for the summary
+function faceModPolicy (npc, settings, locals) {
+  const { plugin, policy } = pluginFaceModPolicy(npc, settings, locals)
+  if (!plugin) return policy
+  if (!locals.faceMods.has(plugin)) locals.faceMods.set(plugin, { policy: policy, npcs: [] })
+  locals.faceMods.get(plugin).npcs.push(LongName(npc))
+  return policy
+}
+
+function currentTints (npc) {
+  if (!HasElement(npc, 'Face Tinting Layers')) return []
+  return GetElements(npc, 'Face Tinting Layers').map(function (layer) {
+    const tint = {
+      type: GetValue(layer, 'TETI\\Data Type'),
+      index: GetValue(layer, 'TETI\\Index'),
+      value: GetIntValue(layer, 'TEND\\Value') / 100
+    }
+    if (tint.type === 'Value/Color') {
+      Object.assign(tint, {
+        templateColor: GetIntValue(layer, 'TEND\\Template Color Index'),
+        red: GetIntValue(layer, 'TEND\\Color\\Red'),
+        green: GetIntValue(layer, 'TEND\\Color\\Green'),
+        blue: GetIntValue(layer, 'TEND\\Color\\Blue')
+      })
+    }
+    return tint
+  })
+}
+
+// the face the other plugin gave the NPC, with the tint layers it doesn't have added on
+function keepFaceModFace (npc, appearance) {
+  appearance.headParts = currentHeadParts(npc)
+  appearance.hairColor = HasElement(npc, 'HCLF') ? GetLinksTo(npc, 'HCLF') : null
+  appearance.facialHairColor = HasElement(npc, 'BCLF') ? GetLinksTo(npc, 'BCLF') : null
+  appearance.morphs = null
+  appearance.body = null
+  if (appearance.tints) {
+    const tints = currentTints(npc)
+    const slots = new Set(tints.map((tint) => parseInt(tint.index)))
+    appearance.tints = tints.concat(appearance.tints.filter((tint) => !slots.has(parseInt(tint.index))))
+  }
+}
+
+function logFaceModSummary (faceMods, logMessage) {
+  if (!faceMods.size) return
+  const total = [...faceMods.values()].reduce((sum, { npcs }) => sum + npcs.length, 0)
+  logMessage(`${total} NPCs already had a new face from another plugin:`)
+  for (const [plugin, { policy, npcs }] of faceMods) {
+    const names = npcs.slice(0, 5).join(', ') + (npcs.length > 5 ? ', ...' : '')
+    logMessage(`  ${plugin}: ${npcs.length} NPCs ${faceModPolicies[policy]} (${names})`)
+  }
+}
+
+function usesTemplateTraits (npc) {
+  return HasElement(npc, 'TPLT') && GetFlag(npc, 'ACBS\\Template Flags', 'Traits')
+}
+
+function isExcluded (npc, locals) {
+  const override = npcOverride(npc, locals.npcOverrides)
+  return Boolean(override && override.exclude)
+}
+
+// variants are new faces for their base, so it has to be an NPC we would give a new face
+function isVariantBase (npc, settings, locals) {
+  if (GetIsUnique(npc) || !isPatchable(npc, settings) || isExcluded(npc, locals)) return false
+  return pluginFaceModPolicy(npc, settings, locals).policy !== 'skip'
+}
+
+// generic NPCs spawned by leveled lists, which get copies with faces of their own,
+// and the leveled lists that spawn them
+// NPCs using their template's traits look like the template, whatever we do to them,
+// so the template gets the variants and the NPC gets copies pointing at them
+function findVariantBases (leveledLists, settings, locals) {
+  const bases = new Set()
+  const lists = new Set()
+  const templated = new Map()
+  const rejected = new Set()
+  const hasBase = (reference) => {
+    const longName = LongName(reference)
+    if (rejected.has(longName)) return false
+    if (bases.has(longName) || templated.has(longName)) return true
+    const base = variantBase(reference, settings, locals)
+    if (!base) {
+      rejected.add(longName)
+      return false
+    }
+    bases.add(base.name)
+    if (base.templated) templated.set(longName, base.name)
+    return true
+  }
+  for (const lvln of leveledLists) {
+    if (!HasElement(lvln, 'Leveled List Entries')) continue
+    WithHandles(GetElements(lvln, 'Leveled List Entries'), (entries) => {
+      for (const entry of entries) {
+        const reference = GetLinksTo(entry, 'LVLO\\Reference')
+        if (reference && WithHandle(reference, hasBase)) lists.add(LongName(lvln))
+      }
+    })
+  }
+  return { bases, lists, templated }
+}
+
+// the NPC a leveled list entry's variants are made from, the NPC itself or the template it takes its face from
+// templates that are leveled lists, or templated themselves, are left alone
+function variantBase (reference, settings, locals) {
+  if (Signature(reference) !== 'NPC_') return null
+  return WithHandle(GetWinningOverride(reference), (npc) => {
+    if (!usesTemplateTraits(npc)) return isVariantBase(npc, settings, locals) ? { name: LongName(npc), templated: false } : null
+    if (isExcluded(npc, locals)) return null
+    const template = GetLinksTo(npc, 'TPLT')
+    if (!template) return null
+    return WithHandle(template, (template) => {
+      if (Signature(template) !== 'NPC_') return null
+      return WithHandle(GetWinningOverride(template), (templateNpc) => {
+        if (usesTemplateTraits(templateNpc) || !isVariantBase(templateNpc, settings, locals)) return null
+        return { name: LongName(templateNpc), templated: true }
+      })
+    })
+  })
+}
+
+function variantEditorID (npc, index) {
+  return `${EditorID(npc)}_FGV${index}`
+}
+
+// variants are remembered in the manifest under their own EditorID, with the inputs of their base
+function createVariants (npc, patchFile, settings, locals, inputs, logMessage) {
+  const variants = []
+  for (let index = 1; index <= locals.variantCount; index++) {
+    const variant = CopyElement(npc, patchFile, true)
+    const edid = variantEditorID(npc, index)
+    SetValue(variant, 'EDID', edid)
+    const appearance = manifestAppearance(variant, edid, inputs, settings, locals, () => npcAppearance(variant, settings, locals, logMessage, edid, npc))
+    recordAppearance(variant, appearance, settings, locals)
+    rememberAppearance(edid, inputs, appearance, locals)
+    writeAppearance(variant, appearance)
+    variants.push(variant)
+  }
+  return variants
+}
+
+// copies of a templated NPC, each using one of its template's variants
+function createTemplatedVariants (npc, templateVariants, patchFile) {
+  return templateVariants.map((templateVariant, index) => {
+    const variant = CopyElement(npc, patchFile, true)
+    SetValue(variant, 'EDID', variantEditorID(npc, index + 1))
+    setLinksTo(variant, 'TPLT', templateVariant)
+    return variant
+  })
+}
+
+// LVLN lists have a maximum of 255 entries
+const MAX_LEVELED_LIST_ENTRIES = 255
+
+const leveledListEntryFields = [
+  'Level',
+  'Count',
+  'Chance None'
+]
+
+function addVariantsToLeveledList (lvln, variants, mode, logMessage) {
+  WithHandles(GetElements(lvln, 'Leveled List Entries'), (entries) => {
+    let entryCount = entries.length
+    for (const entry of entries) {
+      const base = GetLinksTo(entry, 'LVLO\\Reference')
+      if (!base) continue
+      const baseName = WithHandle(base, LongName)
+      const baseVariants = variants.get(baseName)
+      if (!baseVariants) continue
+      const newVariants = baseVariants.slice()
+      // replace the base NPC with its first variant, instead of adding it alongside
+      if (mode === 'replace') {
+        WithHandle(GetElement(entry, 'LVLO\\Reference'), (reference) => SetLinksTo(reference, newVariants.shift(), ''))
+      }
+      for (const variant of newVariants) {
+        if (entryCount >= MAX_LEVELED_LIST_ENTRIES) {
+          logMessage(`[WARN] ${LongName(lvln)} is full, not adding any more variants of ${baseName}.`)
+          return
+        }
+        WithHandle(AddElement(lvln, 'Leveled List Entries\\.'), (newEntry) => {
+          for (const field of leveledListEntryFields) {
+            const path = `LVLO\\${field}`
+            if (HasElement(entry, path)) SetValue(newEntry, path, GetValue(entry, path))
+          }
+          setLinksTo(newEntry, 'LVLO\\Reference', variant)
+        })
+        entryCount++
+      }
+    }
+  })
+}
+
+function colorHex ({ red, green, blue }) {
+  return '#' + [red, green, blue].map((value) => value.toString(16).padStart(2, '0')).join('')
+}
+
+function reportEntry (npc, appearance, name = LongName(npc)) {
+  const morphs = appearance.morphs
+  return {
+    npc: name,
+    changes: appearance.changes || null,
+    race: appearance.race,
+    sex: appearance.isFemale ? 'female' : 'male',
+    headParts: appearance.headParts.map(LongName),
+    hairColor: appearance.hairColor ? LongName(appearance.hairColor) : null,
+    hairColorLUT: appearance.hairColorLUT || null,
+    facialHairColor: appearance.facialHairColor ? LongName(appearance.facialHairColor) : null,
+    age: appearance.age,
+    ancestry: appearance.ancestry,
+    presets: morphs && {
+      parents: morphs.parents,
+      weight: morphs.weight
+    },
+    skinColor: appearance.skinColor && colorHex(appearance.skinColor),
+    body: appearance.body,
+    tints: appearance.tints && appearance.tints.map((tint) => ({
+      index: tint.index,
+      value: tint.value,
+      color: tint.type === 'Value/Color' ? colorHex(tint) : null
+    }))
+  }
+}
+
+function escapeHtml (text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+}
+
+function htmlColor (color) {
+  if (!color) return ''
+  return `<span class="swatch" style="background: ${color}"></span>${color}`
+}
+
+function htmlList (items) {
+  return `<ul>${items.map((item) => `<li>${item}</li>`).join('')}</ul>`
+}
+
+function reportHtml (entries) {
+  const rows = entries.map((entry) => {
+    const presets = entry.presets
+      ? `${htmlList(entry.presets.parents.map(escapeHtml))}weight ${entry.presets.weight.toFixed(3)}`
+      : ''
+    const tints = entry.tints
+      ? htmlList(entry.tints.map((tint) => `${escapeHtml(tint.index)}: ${tint.value.toFixed(3)} ${htmlColor(tint.color)}`))
+      : ''
+    return [
+      '<tr>',
+      `<td>${escapeHtml(entry.npc)}${entry.changes ? `<br>${escapeHtml(entry.changes.join(', ') || 'unchanged')}` : ''}</td>`,
+      `<td>${escapeHtml(entry.race)}<br>${entry.sex}${entry.age ? `<br>${entry.age}` : ''}${entry.ancestry ? `<br>${escapeHtml(entry.ancestry)}` : ''}</td>`,
+      `<td>${htmlList(entry.headParts.map(escapeHtml))}</td>`,
+      `<td>${entry.hairColor ? escapeHtml(entry.hairColor) : ''}${entry.hairColorLUT ? `<br>LUT ${escapeHtml(entry.hairColorLUT)}` : ''}${entry.facialHairColor ? `<br>beard ${escapeHtml(entry.facialHairColor)}` : ''}</td>`,
+      `<td>${presets}</td>`,
+      `<td>${htmlColor(entry.skinColor)}</td>`,
+      `<td>${tints}</td>`,
+      '</tr>'
+    ].join('')
+  })
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Fallout Genetics Patcher appearance report</title>
+<style>
+body { font-family: sans-serif; font-size: 13px; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 4px; vertical-align: top; text-align: left; }
+th { position: sticky; top: 0; background: #eee; }
+ul { margin: 0; padding-left: 1.2em; }
+.swatch { display: inline-block; width: 1em; height: 1em; margin-right: 4px; border: 1px solid #000; vertical-align: middle; }
+</style>
+</head>
+<body>
+<h1>Appearance report</h1>
+<p>${entries.length} NPCs. <input type="search" id="filter" placeholder="Filter rows"></p>
+<table>
+<thead><tr><th>NPC</th><th>Race</th><th>Head parts</th><th>Hair color</th><th>Parent presets</th><th>Skin</th><th>Tint layers</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+<script>
+document.getElementById('filter').addEventListener('input', function (event) {
+  var text = event.target.value.toLowerCase()
+  document.querySelectorAll('tbody tr').forEach(function (row) {
+    row.style.display = row.textContent.toLowerCase().indexOf(text) === -1 ? 'none' : ''
+  })
+})
+</script>
+</body>
+</html>
+`
+}
+
+// LooksMenu finds forms by the plugin that adds them and the FormID within it, like Fallout4.esm|01A4D7
+// light plugins only own the last three digits
+function looksMenuFormID (record) {
+  const formID = GetHexFormID(record)
+  const plugin = WithHandle(GetMasterRecord(record), (master) => WithHandle(GetElementFile(master), GetFileName))
+  return `${plugin}|${formID.startsWith('FE') ? formID.slice(5) : formID.slice(2)}`
+}
+
+function isLooksMenuID (value) {
+  return typeof value === 'string' && value.includes('|')
+}
+
+// the same form whatever the case of the plugin and however many leading zeroes
+function looksMenuKey (identifier) {
+  const [plugin, formID] = identifier.split('|')
+  return `${plugin.toLowerCase()}|${parseInt(formID, 16)}`
+}
+
+// in the format LooksMenu reads, and the presets directory of this patcher as well
+function looksMenuPreset (appearance) {
+  const preset = {
+    Gender: appearance.isFemale ? 1 : 0,
+    HeadParts: appearance.headParts.map(looksMenuFormID)
+  }
+  if (appearance.hairColor) preset.HairColor = looksMenuFormID(appearance.hairColor)
+  const morphs = appearance.morphs
+  if (morphs) {
+    preset.Morphs = {
+      Presets: morphs.Presets,
+      Regions: morphs.Regions,
+      Values: morphs.Values
+    }
+  }
+  if (appearance.body) {
+    preset.Morphs = Object.assign(preset.Morphs || {}, { Values: appearance.body.regions })
+  }
+  if (appearance.tints) {
+    preset.Tints = appearance.tints.map((tint) => {
+      const presetTint = {
+        Index: parseInt(tint.index),
+        Value: tint.value
+      }
+      if (tint.type === 'Value/Color') presetTint.Color = _intColor(tint)
+      return presetTint
+    })
+  }
+  return preset
+}
+
+function presetExportDirectory (settings) {
+  if (settings.exportPresetPath) return jetpack.cwd(settings.exportPresetPath)
+  return jetpack.cwd(patcherPath).cwd('export')
+}
+
+// everything that happens to a new appearance, apart from writing it to the patch
+function recordAppearance (npc, appearance, settings, locals, edid = EditorID(npc), name = LongName(npc)) {
+  appearance.hairColorLUT = appearance.hairColor ? locals.hairColorLUTs.get(LongName(appearance.hairColor)) || null : null
+  if (settings.colorEyebrows && appearance.eyebrows) {
+    colorEyebrows(appearance.eyebrows, appearance.hairColor, settings, locals.colorValues)
+  }
+  if (settings.dryRun || settings.writeReport) {
+    locals.report.push(reportEntry(npc, appearance, name))
+  }
+  if (settings.writeFaceGenList && !settings.dryRun) {
+    locals.faceGenList.push(faceGenEntry(npc, appearance, locals))
+  }
+  if (settings.exportPresets) {
+    const fileName = edid.replace(/[^\w.-]/g, '_')
+    locals.presetDirectory.write(`${fileName}.json`, looksMenuPreset(appearance), { jsonIndent: 2 })
+    locals.exportedPresetCount++
+  }
+}
+
+function reportDirectory (settings) {
+  if (settings.reportPath) return jetpack.cwd(settings.reportPath)
+  return jetpack.cwd(patcherPath).cwd('reports')
+}
+
+function writeReport (entries, directory, logMessage) {
+  directory.write('appearance-report.json', entries, { jsonIndent: 2 })
+  directory.write('appearance-report.html', reportHtml(entries))
+  logMessage(`Wrote the appearance report for ${entries.length} NPCs to ${directory.path()}`)
+}
+
+// the manifest remembers what went into each patched NPC's appearance and what came out,
+// so the next run only generates the NPCs whose inputs changed
+// records an NPC only points at, like its weapons, aren't followed
+const MANIFEST_VERSION = 1
+
+// settings that change where the output goes but not what anyone looks like
+const outputSettings = [
+  'patchFileName',
+  'ignoredFiles',
+  'dryRun',
+  'writeReport',
+  'reportPath',
+  'exportPresets',
+  'exportPresetPath',
+  'useManifest',
+  'manifestPath',
+  'writeFaceGenList',
+  'faceGenListPath'
+]
+
+const manifestInputLabels = {
+  record: 'record changed',
+  settings: 'settings changed',
+  family: 'family changed',
+  override: 'override changed',
+  headParts: 'head parts changed',
+  hairColors: 'hair colours changed',
+  presets: 'presets changed',
+  tints: 'tint layers changed'
+}
+
+function hashOf (value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value === undefined ? null : value)).digest('hex')
+}
+
+function manifestFile (settings) {
+  return settings.manifestPath || `${patcherPath}/cache/manifest.json`
+}
+
+function loadManifest (settings, locals, logMessage) {
+  const path = manifestFile(settings)
+  const previous = loadJsonFile(path, null)
+  const usable = previous && previous.version === MANIFEST_VERSION && previous.npcs
+  if (previous && !usable) logMessage(`[WARN] ${path} is from another version of the patcher, generating every NPC.`)
+  const relevantSettings = Object.assign({}, settings)
+  for (const key of outputSettings) delete relevantSettings[key]
+  return {
+    path: path,
+    previous: usable ? previous.npcs : {},
+    next: {},
+    settingsHash: hashOf([relevantSettings, locals.ageMapping || null]),
+    pools: new Map(),
+    reused: 0,
+    changes: new Map()
+  }
+}
+
+function manifestKey (npc) {
+  return EditorID(npc) || GetHexFormID(npc)
+}
+
+// what the head part, hair colour, preset and tint pools of a race and sex look like, worked out once
+function poolHashes (raceEDID, isFemale, locals) {
+  const key = `${raceEDID}/${isFemale ? 'female' : 'male'}`
+  const pools = locals.manifest.pools
+  if (!pools.has(key)) {
+    const raceData = locals.races.get(raceEDID)
+    const data = isFemale ? raceData.femaleData : raceData.maleData
+    const headPart = (hdpt) => [LongName(hdpt), locals.headPartConditions.get(LongName(hdpt)) || null]
+    pools.set(key, {
+      headParts: hashOf([
+        (data.defaultHDPTs || []).map(LongName),
+        maleHeadPartTypes.map((type) => (data[type] || []).map(headPart))
+      ]),
+      hairColors: hashOf(data.hairColors.map((clfm) => [
+        LongName(clfm),
+        GetValue(clfm, 'CNAM'),
+        locals.hairColorLUTs.get(LongName(clfm)) || null
+      ])),
+      presets: hashOf(data.presets || []),
+      tints: hashOf(data.tints)
+    })
+  }
+  return pools.get(key)
+}
+
+function npcInputs (npc, locals) {
+  const manifest = locals.manifest
+  const family = locals.families.get(EditorID(npc))
+  return Object.assign({
+    record: hashOf(ElementToJSON(npc)),
+    settings: manifest.settingsHash,
+    family: hashOf(family ? family.key : null),
+    override: hashOf(npcOverride(npc, locals.npcOverrides) || null)
+  }, poolHashes(linkedEditorID(npc, 'RNAM'), GetIsFemale(npc), locals))
+}
+
+// why an NPC has to be generated again, nothing if it doesn't
+function inputChanges (previous, inputs) {
+  if (!previous) return ['new']
+  return Object.keys(manifestInputLabels)
+    .filter((input) => previous.inputs[input] !== inputs[input])
+    .map((input) => manifestInputLabels[input])
+}
+
+function serializeAppearance (appearance) {
+  return {
+    race: appearance.race,
+    isFemale: appearance.isFemale,
+    headParts: appearance.headParts.map(EditorID),
+    hairColor: appearance.hairColor && EditorID(appearance.hairColor),
+    facialHairColor: appearance.facialHairColor && EditorID(appearance.facialHairColor),
+    morphs: appearance.morphs,
+    skinColor: appearance.skinColor,
+    tints: appearance.tints,
+    body: appearance.body,
+    age: appearance.age,
+    ancestry: appearance.ancestry
+  }
+}
+
+// null if anything it refers to has gone
+function deserializeAppearance (stored, locals) {
+  const headParts = stored.headParts.map((edid) => locals.headPartsByEditorID.get(edid))
+  if (headParts.some((hdpt) => !hdpt)) return null
+  const color = (edid) => edid ? locals.colorsByEditorID.get(edid) : null
+  const hairColor = color(stored.hairColor)
+  const facialHairColor = color(stored.facialHairColor)
+  if (hairColor === undefined || facialHairColor === undefined) return null
+  return Object.assign({}, stored, {
+    headParts: headParts,
+    hairColor: hairColor,
+    facialHairColor: facialHairColor,
+    eyebrows: null
+  })
+}
+
+// the appearance from the last run if nothing it was made from has changed, or a new one
+// key is the EditorID the NPC or variant is remembered by
+function manifestAppearance (npc, key, inputs, settings, locals, generate) {
+  const manifest = locals.manifest
+  if (!manifest) return generate()
+  const previous = manifest.previous[key]
+  const changes = inputChanges(previous, inputs)
+  let appearance = !changes.length && deserializeAppearance(previous.appearance, locals)
+  if (appearance) {
+    manifest.reused++
+  } else {
+    if (!changes.length) changes.push('missing records')
+    appearance = generate()
+    for (const change of changes) manifest.changes.set(change, (manifest.changes.get(change) || 0) + 1)
+  }
+  appearance.changes = changes
+  return appearance
+}
+
+function rememberAppearance (key, inputs, appearance, locals) {
+  if (!locals.manifest) return
+  locals.manifest.next[key] = {
+    inputs: inputs,
+    appearance: serializeAppearance(appearance)
+  }
+}
+
+function writeManifest (manifest, logMessage) {
+  jetpack.write(manifest.path, { version: MANIFEST_VERSION, npcs: manifest.next }, { jsonIndent: 1 })
+  const generated = [...manifest.changes].map(([change, count]) => `${count} ${change}`)
+  logMessage(`Kept ${manifest.reused} unchanged NPCs${generated.length ? `, generated the rest because: ${generated.join(', ')}` : ''}.`)
+}
+
+// every NPC in the patch needs its FaceGen regenerated, or the game shows the dark face bug
+// loose FaceGen files made for the old face are flagged, they'd win over any regenerated in an archive
+function faceGenDirectory (settings) {
+  if (settings.faceGenListPath) return jetpack.cwd(settings.faceGenListPath)
+  return jetpack.cwd(patcherPath).cwd('facegen')
+}
+
+// FaceGen files are named after the FormID without the load order, light plugins only own the last three digits
+function faceGenID (formID) {
+  return formID.startsWith('FE') ? `00000${formID.slice(5)}` : `00${formID.slice(2)}`
+}
+
+function looseFaceGenFiles (plugin, formID, dataDir) {
+  const id = faceGenID(formID)
+  return [
+    `Meshes/Actors/Character/FaceGenData/FaceGeom/${plugin}/${id}.nif`,
+    ...['_d', '_msn', '_s'].map((suffix) => `Textures/Actors/Character/FaceCustomization/${plugin}/${id}${suffix}.dds`)
+  ].filter((file) => dataDir.exists(file) === 'file')
+}
+
+function faceGenEntry (npc, appearance, locals) {
+  const formID = GetHexFormID(npc)
+  const plugin = WithHandle(GetMasterRecord(npc), (master) => WithHandle(GetElementFile(master), GetFileName))
+  // NPCs the manifest kept as they were may have had their FaceGen regenerated since
+  const changed = !appearance.changes || appearance.changes.length > 0
+  return {
+    formID: formID,
+    editorID: EditorID(npc),
+    name: GetValue(npc, 'FULL'),
+    plugin: plugin,
+    changed: changed,
+    staleFiles: changed ? looseFaceGenFiles(plugin, formID, locals.dataDir) : []
+  }
+}
+
+function csvField (value) {
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// plain lists of FormIDs and EditorIDs, one per line, for the Creation Kit and batch FaceGen tools,
+// and a spreadsheet with the details
+function writeFaceGenList (entries, directory, logMessage) {
+  const lines = (values) => values.map((value) => `${value}\r\n`).join('')
+  directory.write('facegen-formids.txt', lines(entries.map((entry) => entry.formID)))
+  directory.write('facegen-editorids.txt', lines(entries.map((entry) => entry.editorID)))
+  directory.write('facegen.csv', lines([
+    'FormID,EditorID,Name,Plugin,Changed,Stale FaceGen files',
+    ...entries.map((entry) => [
+      entry.formID,
+      entry.editorID,
+      entry.name,
+      entry.plugin,
+      entry.changed ? 'yes' : 'no',
+      entry.staleFiles.join(' ')
+    ].map(csvField).join(','))
+  ]))
+  const stale = entries.filter((entry) => entry.staleFiles.length)
+  directory.write('facegen-stale.txt', lines([].concat(...stale.map((entry) => entry.staleFiles))))
+  logMessage(`Wrote the list of ${entries.length} NPCs that need their FaceGen regenerated to ${directory.path()}`)
+  if (stale.length) {
+    const names = stale.slice(0, 10).map((entry) => entry.editorID || entry.formID).join(', ')
+    logMessage(`[WARN] ${stale.length} NPCs have loose FaceGen files made for their old face, regenerate or delete them: ${names}${stale.length > 10 ? ', ...' : ''}`)
+  }
+}
+
+function defaultSettings () {
+  return {
+    patchFileName: 'zPatch.esp',
+    ignoreCharGen: true,
+    useMorphs: true,
+    crossGenderPresets: true,
+    presetPath: '',
+    seed: 42,
+    beardChance: 5,
+    applyFoundation: true,
+    applyMakeup: false,
+    eyeMakeupChance: 0.75,
+    eyeMakeupIntensity: 0.6,
+    eyelinerIntensity: 0.8,
+    useKinship: true,
+    kinshipVariation: 0.15,
+    useAgeModel: true,
+    ageMappingPath: '',
+    ageDistribution: {
+      young: 0.25,
+      adult: 0.4,
+      middleAged: 0.25,
+      elderly: 0.1
+    },
+    wrinkleIntensity: 0.8,
+    colorEyebrows: true,
+    eyebrowDarkening: 0.15,
+    shadeFacialHair: true,
+    facialHairVariation: 0.3,
+    facialHairGreying: 1.5,
+    generateBodyShapes: true,
+    bodyShapes: loadJsonFile(`${patcherPath}/bodyShapes.json`, []),
+    useAncestry: true,
+    ancestries: loadJsonFile(`${patcherPath}/ancestries.json`, []),
+    applyInjuries: true,
+    meleeBruisingChance: 0.3,
+    bruisingIntensity: 0.7,
+    extraInjuryScars: 2,
+    faceDetails: JSON.parse(JSON.stringify(faceDetailDefaults)),
+    disabledHeadParts: {},
+    headPartWeights: {},
+    races: {
+      HumanRace: true,
+      ChildRace: false,
+      GhoulRace: false,
+      SynthGen2Race: false
+    },
+    lipstickPalettes: loadJsonFile(`${patcherPath}/lipstickPalettes.json`, []),
+    paleLipstickColor: 139,
+    darkLipstickColor: 4916319,
+    appearanceRules: loadJsonFile(`${patcherPath}/appearanceRules.json`, []),
+    generateVariants: false,
+    variantCount: 3,
+    variantLeveledListMode: 'extend',
+    overridesPath: '',
+    defaultFaceModPolicy: 'skip',
+    faceModPolicies: {
+      'Unofficial Fallout 4 Patch.esp': 'overwrite'
+    },
+    exportPresets: false,
+    exportPresetPath: '',
+    dryRun: false,
+    useManifest: true,
+    manifestPath: '',
+    writeFaceGenList: true,
+    faceGenListPath: '',
+    writeReport: false,
+    reportPath: ''
+  }
+}
+
+function initialize (settings, locals, helpers) {
+  const { logMessage } = helpers
+
+  locals.paleLipstickColor = parseSettingColor(settings.paleLipstickColor, 'Lipstick color for pale skin', logMessage)
+  locals.darkLipstickColor = parseSettingColor(settings.darkLipstickColor, 'Lipstick color for dark skin', logMessage)
+  locals.lipstickPalettes = normalizeLipstickPalettes(settings.lipstickPalettes, logMessage)
+  // the most extra scars a fighter can get, at least one
+  locals.extraInjuryScars = Math.max(Math.round(settings.extraInjuryScars) || 0, 1)
+  locals.appearanceRules = normalizeAppearanceRules(settings.appearanceRules, logMessage)
+  locals.faceDetails = normalizeFaceDetails(settings.faceDetails, logMessage)
+  locals.ancestries = normalizeAncestries(settings.ancestries, logMessage)
+  locals.bodyShapes = normalizeBodyShapes(settings.bodyShapes, logMessage)
+  locals.eyeShadowPalettes = {}
+  for (const eyeColor in eyeShadowPalettes) {
+    locals.eyeShadowPalettes[eyeColor] = eyeShadowPalettes[eyeColor].map((color) => parseColor(color, logMessage, `The ${eyeColor} eye shadow palette`))
+  }
+  locals.report = []
+  locals.faceGenList = []
+  locals.faceModPolicies = normalizeFaceModPolicies(settings, logMessage)
+  locals.faceMods = new Map()
+  locals.keepFaces = new Set()
+  locals.combatStyleCache = new Map()
+  locals.colorValues = new Map()
+  locals.npcOverrides = loadNpcOverrides(overridesFile(settings), logMessage)
+  locals.colorsByEditorID = new Map()
+  const useManifest = settings.useManifest && !settings.dryRun
+  if (locals.npcOverrides.size || useManifest) {
+    for (const clfm of helpers.loadRecords('CLFM')) {
+      locals.colorsByEditorID.set(EditorID(clfm), clfm)
+    }
+  }
+  if (settings.useAgeModel) {
+    locals.ageMapping = loadAgeMapping(ageMappingFile(settings), logMessage)
+  }
+  if (settings.exportPresets) {
+    locals.presetDirectory = presetExportDirectory(settings)
+    locals.exportedPresetCount = 0
+  }
+
+  const raceRecords = new Map()
+  for (const race of helpers.loadRecords('RACE')) {
+    raceRecords.set(EditorID(race), race)
+  }
+
+  const races = locals.races = new Map()
+  for (const raceEDID of enabledRaces(settings)) {
+    const race = raceRecords.get(raceEDID)
+    if (!race) {
+      logMessage(`[WARN] Couldn't find the race ${raceEDID}, skipping it.`)
+      continue
+    }
+    const hasDefaultHDPTs = raceEDID === HUMAN_RACE
+    const raceData = {
+      race: race,
+      femaleData: { defaultHDPTs: hasDefaultHDPTs ? [] : null },
+      maleData: { defaultHDPTs: hasDefaultHDPTs ? [] : null },
+      neutralHDPTs: {},
+      neutralHairColors: []
+    }
+    for (const type of femaleHeadPartTypes) {
+      raceData.femaleData[type] = []
+    }
+    for (const type of maleHeadPartTypes) {
+      raceData.maleData[type] = []
+      raceData.neutralHDPTs[type] = []
+    }
+    races.set(raceEDID, raceData)
+  }
+  assert.ok(races.size > 0, 'No races to patch!')
+
+  // EditorIDs of the races in each valid races form list
+  const raceLists = new Map()
+  const validRaces = (hdpt) => {
+    const raceList = GetLinksTo(hdpt, 'RNAM')
+    if (!raceList) return []
+    const key = LongName(raceList)
+    if (!raceLists.has(key)) {
+      const winningList = GetWinningOverride(raceList)
+      const raceEDIDs = []
+      if (HasElement(winningList, 'FormIDs')) {
+        for (const race of GetElements(winningList, 'FormIDs')) {
+          raceEDIDs.push(linkedEditorID(race, ''))
+        }
+      }
+      raceLists.set(key, raceEDIDs)
+    }
+    return raceLists.get(key)
+  }
+
+  const humanData = races.get(HUMAN_RACE)
+  let disabledHeadPartCount = 0
+  const headPartConditions = locals.headPartConditions = new Map()
+  const headPartsByEditorID = locals.headPartsByEditorID = new Map()
+  for (const hdpt of helpers.loadRecords('HDPT')) {
+    const longName = LongName(hdpt)
+    headPartsByEditorID.set(EditorID(hdpt), hdpt)
+    if (defaultFemaleHDPTNames.has(longName)) {
+      if (humanData) humanData.femaleData.defaultHDPTs.push(hdpt)
+      continue
+    }
+    if (defaultMaleHDPTNames.has(longName)) {
+      if (humanData) humanData.maleData.defaultHDPTs.push(hdpt)
+      continue
+    }
+    const ptype = GetValue(hdpt, 'PNAM')
+    if (maleHeadPartTypes.includes(ptype) && !headPartWeight(settings, EditorID(hdpt))) {
+      disabledHeadPartCount++
+      continue
+    }
+    // extra parts come along with the parts that list them, they're never picked on their own
+    if (GetFlag(hdpt, 'DATA', 'Is Extra Part')) continue
+    if (!extraPartsResolve(hdpt)) {
+      logMessage(`[WARN] ${longName} has extra parts that don't exist, skipping it.`)
+      continue
+    }
+    const conditions = parseConditions(hdpt)
+    if (conditions.length) headPartConditions.set(longName, conditions)
+    const flags = (GetFlag(hdpt, 'DATA', 'Female') ? FEMALE_HDPT_FLAG : 0) |
+      (GetFlag(hdpt, 'DATA', 'Male') ? MALE_HDPT_FLAG : 0)
+    for (const raceEDID of validRaces(hdpt)) {
+      const raceData = races.get(raceEDID)
+      if (!raceData) continue
+      let data = null
+      switch (flags) {
+        case FEMALE_HDPT_FLAG:
+          data = raceData.femaleData[ptype]
+          break
+        case MALE_HDPT_FLAG:
+          data = raceData.maleData[ptype]
+          break
+        case FEMALE_HDPT_FLAG | MALE_HDPT_FLAG:
+        case 0: // neither
+          data = raceData.neutralHDPTs[ptype]
+      }
+      if (data) data.push(hdpt)
+    }
+  }
+
+  if (disabledHeadPartCount) logMessage(`Skipping ${disabledHeadPartCount} disabled head parts.`)
+
+  // pins can name head parts and colours the way LooksMenu presets do
+  locals.formsByLooksMenuID = new Map()
+  if ([...locals.npcOverrides.values()].some((override) => Object.values(override.pin).some(isLooksMenuID))) {
+    for (const form of [...headPartsByEditorID.values(), ...locals.colorsByEditorID.values()]) {
+      locals.formsByLooksMenuID.set(looksMenuKey(looksMenuFormID(form)), form)
+    }
+  }
+
+  for (const [raceEDID, raceData] of races) {
+    const { race, femaleData, maleData, neutralHDPTs } = raceData
+
+    for (const type of maleHeadPartTypes) {
+      const hdpts = neutralHDPTs[type]
+      maleData[type].push(...hdpts)
+      if (type === 'Facial Hair') continue
+      femaleData[type].push(...hdpts)
+    }
+
+    for (const type of requiredHeadPartTypes) {
+      // other races, like synths, can do without hair
+      if (raceEDID === HUMAN_RACE) {
+        assert.ok(femaleData[type].length > 0, `Couldn't find any ${type}!`)
+        assert.ok(maleData[type].length > 0, `Couldn't find any ${type}!`)
+      } else if (!femaleData[type].length || !maleData[type].length) {
+        logMessage(`[WARN] Couldn't find any ${type} for ${raceEDID}.`)
+      }
+    }
+
+    femaleData.hairColors = []
+    maleData.hairColors = []
+    for (const color of GetElements(race, 'Female Hair Colors')) {
+      femaleData.hairColors.push(GetLinksTo(color))
+    }
+    for (const color of GetElements(race, 'Male Hair Colors')) {
+      maleData.hairColors.push(GetLinksTo(color))
+    }
+  }
+
+  const dataDir = locals.dataDir = jetpack.cwd(GetGlobal('DataPath'))
+
+  const hairColorDir = dataDir.cwd('F4SE/Plugins/F4EE/LUTs')
+  locals.hairColorLUTs = new Map()
+  if (hairColorDir.exists('.') === 'dir') {
+    locals.hairColorLUTs = loadLooksMenuHairColors(hairColorDir, races, raceRecords, logMessage)
+  }
+
+  // colours listed by both the race and LooksMenu shouldn't count twice
+  const uniqueColors = (colors) => [...new Map(colors.map((color) => [LongName(color), color])).values()]
+  for (const { femaleData, maleData, neutralHairColors } of races.values()) {
+    femaleData.hairColors = uniqueColors([...femaleData.hairColors, ...neutralHairColors])
+    maleData.hairColors = uniqueColors([...maleData.hairColors, ...neutralHairColors])
+    femaleData.greyHairColors = femaleData.hairColors.filter(isGreyHairColor)
+    maleData.greyHairColors = maleData.hairColors.filter(isGreyHairColor)
+  }
+
+  for (const [raceEDID, raceData] of races) {
+    const { race, femaleData, maleData } = raceData
+    femaleData.tints = loadTintLayers(race, 'Female Tint Layers', logMessage)
+    maleData.tints = loadTintLayers(race, 'Male Tint Layers', logMessage)
+    for (const data of [femaleData, maleData]) {
+      if (raceEDID === HUMAN_RACE) {
+        assert.ok(data.tints.Eyebrows.length > 1, 'No eyebrows found!')
+      }
+    }
+  }
+
+  if (settings.useMorphs) {
+    const presetPath = settings.presetPath ? jetpack.cwd(settings.presetPath) : jetpack.cwd(patcherPath).cwd('presets')
+    assert.ok(presetPath.exists('.') === 'dir', `Could not find the presets directory ${presetPath.path()}, reinstall?`)
+
+    for (const [raceEDID, { race, femaleData, maleData }] of races) {
+      const fPresets = []
+      const mPresets = []
+      // human presets live in the top level, other races have a directory of their own
+      const racePresetPath = raceEDID === HUMAN_RACE ? presetPath : presetPath.cwd(raceEDID)
+      if (racePresetPath.exists('.') === 'dir') {
+        loadPresets(racePresetPath, fPresets, mPresets)
+      }
+      logMessage(`Found ${fPresets.length} female presets and ${mPresets.length} male presets for ${raceEDID}.`)
+
+      femaleData.faceMorphs = loadFaceMorphs(race, 'Female Face Morphs')
+      maleData.faceMorphs = loadFaceMorphs(race, 'Male Face Morphs')
+      femaleData.morphPresets = loadMorphPresets(race, 'Female Morph Groups')
+      maleData.morphPresets = loadMorphPresets(race, 'Male Morph Groups')
+      if (!femaleData.faceMorphs.size || !maleData.faceMorphs.size) {
+        logMessage(`[WARN] Couldn't find the face morphs of ${raceEDID}, presets can't be checked.`)
+      }
+
+      const femaleLabel = `female ${raceEDID}`
+      const maleLabel = `male ${raceEDID}`
+      femaleData.presets = fPresets.map((preset) => adaptPreset(preset, femaleData, null, femaleLabel, logMessage))
+      maleData.presets = mPresets.map((preset) => adaptPreset(preset, maleData, null, maleLabel, logMessage))
+
+      if (!settings.crossGenderPresets) continue
+      if (!femaleData.faceMorphs.size || !maleData.faceMorphs.size) continue
+      const toFemale = {
+        Regions: morphTranslation(maleData.faceMorphs, femaleData.faceMorphs),
+        Presets: morphTranslation(maleData.morphPresets, femaleData.morphPresets)
+      }
+      const toMale = {
+        Regions: morphTranslation(femaleData.faceMorphs, maleData.faceMorphs),
+        Presets: morphTranslation(femaleData.morphPresets, maleData.morphPresets)
+      }
+      logMessage(`${toFemale.Regions.size} of ${maleData.faceMorphs.size} male face morph regions of ${raceEDID} have a female equivalent.`)
+      femaleData.presets.push(...mPresets.map((preset) => adaptPreset(preset, femaleData, toFemale, femaleLabel, logMessage)))
+      maleData.presets.push(...fPresets.map((preset) => adaptPreset(preset, maleData, toMale, maleLabel, logMessage)))
+    }
+  }
+
+  locals.variantBases = new Set()
+  locals.variantLists = new Set()
+  locals.templatedVariants = new Map()
+  locals.variants = new Map()
+  if (settings.generateVariants) {
+    locals.variantCount = Math.max(Math.round(settings.variantCount) || 0, 1)
+    const { bases, lists, templated } = findVariantBases(helpers.loadRecords('LVLN'), settings, locals)
+    locals.variantBases = bases
+    locals.variantLists = lists
+    locals.templatedVariants = templated
+    logMessage(`Found ${bases.size} generic NPCs in ${lists.size} leveled lists to create variants of.`)
+  }
+
+  const families = locals.families = new Map()
+  if (settings.useKinship) {
+    const npcs = helpers.loadRecords('NPC_').filter((npc) => isPatchable(npc, settings))
+    const relationships = helpers.loadRecords('RELA')
+    let memberCount = 0
+    for (const members of findFamilies(npcs, relationships)) {
+      members.sort()
+      const genome = createFamilyGenome(members[0], settings.seed)
+      for (const edid of members) families.set(edid, genome)
+      memberCount += members.length
+    }
+    logMessage(`Found ${memberCount} NPCs in ${new Set(families.values()).size} families.`)
+  }
+
+  locals.manifest = useManifest ? loadManifest(settings, locals, logMessage) : null
+}
+
+// a new face for the NPC, or for a variant of its base, kept to the base's face mod policy and override
+function npcAppearance (npc, settings, locals, logMessage, edid = EditorID(npc), base = npc) {
+  const appearance = generateAppearance(npc, settings, locals, edid)
+  if (locals.keepFaces.has(LongName(base))) keepFaceModFace(base, appearance)
+  const override = npcOverride(base, locals.npcOverrides)
+  if (override) applyNpcOverride(base, appearance, override, locals, logMessage)
+  return appearance
+}
+
+// in a dry run every NPC is generated and reported here, and none are patched
+function filterNpc (npc, settings, locals, helpers) {
+  if (!isPatchable(npc, settings) || isExcluded(npc, locals)) return false
+  const policy = faceModPolicy(npc, settings, locals)
+  if (policy === 'skip') return false
+  if (policy === 'tints') locals.keepFaces.add(LongName(npc))
+  if (!settings.dryRun) return true
+  // report what we would have done, and leave the NPC out of the patch
+  const appearance = npcAppearance(npc, settings, locals, helpers.logMessage)
+  recordAppearance(npc, appearance, settings, locals)
+  if (locals.variantBases.has(LongName(npc))) {
+    for (let index = 1; index <= locals.variantCount; index++) {
+      const edid = variantEditorID(npc, index)
+      const appearance = npcAppearance(npc, settings, locals, helpers.logMessage, edid)
+      recordAppearance(npc, appearance, settings, locals, edid, `${edid} (variant of ${LongName(npc)})`)
+    }
+  }
+  return false
+}
+
+function patchNpc (npc, patchFile, settings, locals, helpers) {
+  const { logMessage } = helpers
+  // hashed before anything is written to it
+  const inputs = locals.manifest && npcInputs(npc, locals)
+  const key = locals.manifest && manifestKey(npc)
+  const appearance = manifestAppearance(npc, key, inputs, settings, locals, () => npcAppearance(npc, settings, locals, logMessage))
+  if (!appearance.changes) {
+    logMessage(`Changing appearance of ${LongName(npc)}`)
+  } else if (appearance.changes.length) {
+    logMessage(`Changing appearance of ${LongName(npc)} (${appearance.changes.join(', ')})`)
+  }
+  recordAppearance(npc, appearance, settings, locals)
+  rememberAppearance(key, inputs, appearance, locals)
+  writeAppearance(npc, appearance)
+  if (locals.variantBases.has(LongName(npc))) {
+    logMessage(`Creating ${locals.variantCount} variants of ${LongName(npc)}`)
+    locals.variants.set(LongName(npc), createVariants(npc, patchFile, settings, locals, inputs, logMessage))
+  }
+}
+
+// every NPC has been patched by the time leveled lists are filtered, lists without any variants stay out of the patch
+function filterLeveledList (lvln, settings, locals) {
+  if (settings.dryRun || !locals.variantLists.has(LongName(lvln))) return false
+  return WithHandles(GetElements(lvln, 'Leveled List Entries'), (entries) => entries.some((entry) => {
+    const npc = GetLinksTo(entry, 'LVLO\\Reference')
+    if (!npc) return false
+    const name = WithHandle(npc, LongName)
+    return locals.variants.has(name) || locals.variants.has(locals.templatedVariants.get(name))
+  }))
+}
+
+// every NPC has been patched by now, so templates have their variants
+function patchLeveledList (lvln, patchFile, settings, locals, helpers) {
+  WithHandles(GetElements(lvln, 'Leveled List Entries'), (entries) => {
+    for (const entry of entries) {
+      const reference = GetLinksTo(entry, 'LVLO\\Reference')
+      if (!reference) continue
+      WithHandle(reference, (reference) => {
+        const name = LongName(reference)
+        const templateVariants = locals.variants.get(locals.templatedVariants.get(name))
+        if (locals.variants.has(name) || !templateVariants) return
+        helpers.logMessage(`Creating ${templateVariants.length} variants of ${name} using the variants of its template`)
+        const variants = WithHandle(GetWinningOverride(reference), (npc) => createTemplatedVariants(npc, templateVariants, patchFile))
+        locals.variants.set(name, variants)
+      })
+    }
+  })
+  addVariantsToLeveledList(lvln, locals.variants, settings.variantLeveledListMode, helpers.logMessage)
+}
+
+function finalize (settings, locals, helpers) {
+  const { logMessage } = helpers
+  if (settings.dryRun || settings.writeReport) {
+    writeReport(locals.report, reportDirectory(settings), logMessage)
+  }
+  if (settings.exportPresets) {
+    logMessage(`Exported ${locals.exportedPresetCount} LooksMenu presets to ${locals.presetDirectory.path()}`)
+  }
+  if (settings.writeFaceGenList && !settings.dryRun) {
+    writeFaceGenList(locals.faceGenList, faceGenDirectory(settings), logMessage)
+  }
+  if (locals.manifest) writeManifest(locals.manifest, logMessage)
+  logFaceModSummary(locals.faceMods, logMessage)
+}
+
+module.exports = {
+  useBackend,
+  defaultSettings,
+  settingsController,
+  initialize,
+  filterNpc,
+  patchNpc,
+  filterLeveledList,
+  patchLeveledList,
+  finalize,
+  generateAppearance,
+  writeAppearance
+}
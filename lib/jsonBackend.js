@@ -0,0 +1,294 @@
+const fs = require('fs')
+const path = require('path')
+
+// the engine's record and file access without zEdit, over a plain JSON dump of the load order:
+// {
+//   "files": [{ "name": "Fallout4.esm", "masters": [] }, ...],
+//   "records": [{ "File": "Fallout4.esm", "Signature": "NPC_", "FormID": "0001A4D7", "EDID": "...", ... }]
+// }
+// files are in load order, and a record in a later file with the same FormID overrides the earlier one
+// records hold their elements under the names or signatures the engine asks for, nested in objects and arrays
+// references are the EditorID or load order FormID of the record they point at, flags are lists of flag names
+
+// the subset of jetpack the engine uses
+function jetpackShim (root) {
+  const resolve = (...paths) => path.resolve(root, ...paths)
+  return {
+    cwd: (...paths) => jetpackShim(resolve(...paths)),
+    path: resolve,
+    exists: function (target = '.') {
+      if (!fs.existsSync(resolve(target))) return false
+      return fs.statSync(resolve(target)).isDirectory() ? 'dir' : 'file'
+    },
+    list: function (target = '.') {
+      if (!fs.existsSync(resolve(target))) return
+      return fs.readdirSync(resolve(target))
+    },
+    read: function (target, type) {
+      if (!fs.existsSync(resolve(target))) return
+      const text = fs.readFileSync(resolve(target), 'utf8')
+      return type === 'json' ? JSON.parse(text) : text
+    },
+    write: function (target, data, options = {}) {
+      fs.mkdirSync(path.dirname(resolve(target)), { recursive: true })
+      const text = typeof data === 'string' ? data : JSON.stringify(data, null, options.jsonIndent)
+      fs.writeFileSync(resolve(target), text)
+    }
+  }
+}
+
+function loadJsonFile (filePath, defaultValue) {
+  if (!fs.existsSync(filePath)) return defaultValue
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (e) {
+    return defaultValue
+  }
+}
+
+function hexFormID (formID) {
+  return (formID >>> 0).toString(16).toUpperCase().padStart(8, '0')
+}
+
+// element paths are split on backslashes, [n] is an index and . appends to a list
+function splitPath (elementPath) {
+  if (elementPath === undefined || elementPath === null || elementPath === '') return []
+  return String(elementPath).split('\\')
+}
+
+function createJsonBackend (dump, options = {}) {
+  const files = []
+  const filesByName = new Map()
+  // every version of each record by FormID, in load order
+  const recordVersions = new Map()
+  const formIDsByEditorID = new Map()
+
+  const addFile = function (name, masters) {
+    const file = { name: name, masters: masters || files.map((other) => other.name), index: files.length, records: [], nextObjectID: 0x800 }
+    files.push(file)
+    filesByName.set(name.toLowerCase(), file)
+    return { file: file }
+  }
+
+  // an EditorID is the first record's to use it, so copies of a record don't take over references to it
+  const indexEditorID = function (editorID, formID) {
+    if (editorID && !formIDsByEditorID.has(editorID)) formIDsByEditorID.set(editorID, formID)
+  }
+
+  const addRecord = function (file, data) {
+    data.FormID = hexFormID(parseInt(data.FormID, 16))
+    const record = { file: file, data: data }
+    file.records.push(record)
+    if (!recordVersions.has(data.FormID)) recordVersions.set(data.FormID, [])
+    recordVersions.get(data.FormID).push(record)
+    indexEditorID(data.EDID, data.FormID)
+    return record
+  }
+
+  for (const file of dump.files || []) addFile(file.name, file.masters || [])
+  for (const data of dump.records || []) {
+    const file = filesByName.get(String(data.File).toLowerCase())
+    if (!file) throw new Error(`${data.EDID || data.FormID} is in ${data.File}, which isn't in the list of files`)
+    addRecord(file, data)
+  }
+
+  // handles are plain objects, the element is container[key], or the record itself without a container
+  const recordHandle = (record) => ({ record: record, container: null, key: null })
+  const value = (handle) => handle.container ? handle.container[handle.key] : handle.record.data
+  const setNode = function (handle, node) {
+    if (!handle.container) throw new Error(`Can't replace the record ${handle.record.data.FormID}`)
+    handle.container[handle.key] = node
+    return node
+  }
+
+  const resolve = function (handle, elementPath, create) {
+    let current = handle
+    for (const segment of splitPath(elementPath)) {
+      let node = value(current)
+      const index = /^\[(\d+)\]$/.exec(segment)
+      if (segment === '.' || index) {
+        if (!Array.isArray(node)) {
+          const empty = node === null || node === undefined || (typeof node === 'object' && !Object.keys(node).length)
+          if (!create || !empty) return null
+          node = setNode(current, [])
+        }
+        let position = segment === '.' ? node.length : parseInt(index[1], 10)
+        if (position >= node.length) {
+          if (!create) return null
+          node.push(null)
+          position = node.length - 1
+        }
+        current = { record: current.record, container: node, key: position }
+      } else {
+        if (node === null || node === undefined) {
+          if (!create) return null
+          node = setNode(current, {})
+        }
+        if (typeof node !== 'object' || Array.isArray(node)) return null
+        if (!(segment in node)) {
+          if (!create) return null
+          node[segment] = null
+        }
+        current = { record: current.record, container: node, key: segment }
+      }
+    }
+    return current
+  }
+
+  const nodeAt = function (handle, elementPath) {
+    const element = resolve(handle, elementPath, false)
+    return element ? value(element) : undefined
+  }
+
+  const masterRecord = (formID) => (recordVersions.get(formID) || [])[0]
+  const winningRecord = function (formID, excludeFile) {
+    const versions = (recordVersions.get(formID) || []).filter((record) => record.file !== excludeFile)
+    return versions[versions.length - 1]
+  }
+
+  const findRecord = function (reference) {
+    if (typeof reference === 'number') reference = hexFormID(reference)
+    if (typeof reference !== 'string' || !reference) return
+    if (/^[0-9A-Fa-f]{8}$/.test(reference) && recordVersions.has(reference.toUpperCase())) {
+      return masterRecord(reference.toUpperCase())
+    }
+    const formID = formIDsByEditorID.get(reference)
+    return formID && masterRecord(formID)
+  }
+
+  const setValueArguments = (elementPath, newValue) => newValue === undefined ? ['', elementPath] : [elementPath, newValue]
+
+  const flagsAt = function (handle, elementPath) {
+    const node = nodeAt(handle, elementPath)
+    if (Array.isArray(node)) return node
+    if (typeof node === 'string') return node.split(/,\s*/)
+    if (node && typeof node === 'object') return Object.keys(node).filter((flag) => node[flag])
+    return []
+  }
+
+  const backend = {
+    jetpack: jetpackShim(options.patcherPath || process.cwd()),
+    loadJsonFile: loadJsonFile,
+    patcherPath: options.patcherPath || process.cwd(),
+
+    addFile: (name) => addFile(name),
+    fileRecords: (fileHandle) => fileHandle.file.records.map((record) => record.data),
+
+    // winning overrides of every record of a signature, like UPF's helpers.loadRecords, leaving out the patch
+    loadRecords: function (signature, patchFile) {
+      const records = []
+      for (const formID of recordVersions.keys()) {
+        const record = winningRecord(formID, patchFile && patchFile.file)
+        if (record && record.data.Signature === signature) records.push(recordHandle(record))
+      }
+      return records
+    },
+
+    AddElement: (handle, elementPath) => resolve(handle, elementPath, true),
+    CopyElement: function (handle, fileHandle, asNew) {
+      const data = JSON.parse(JSON.stringify(handle.record.data))
+      const file = fileHandle.file
+      data.File = file.name
+      if (asNew) data.FormID = hexFormID((file.index << 24) | file.nextObjectID++)
+      const existing = !asNew && file.records.find((record) => record.data.FormID === data.FormID)
+      return recordHandle(existing || addRecord(file, data))
+    },
+    EditorID: (handle) => handle.record.data.EDID || '',
+    ElementToJSON: (handle) => JSON.stringify(value(handle)),
+    GetElement: function (handle, elementPath) {
+      if (handle === 0) {
+        const file = filesByName.get(String(elementPath).toLowerCase())
+        return file ? { file: file } : 0
+      }
+      return resolve(handle, elementPath, false) || 0
+    },
+    GetElementFile: (handle) => ({ file: handle.record.file }),
+    GetElements: function (handle, elementPath) {
+      const element = resolve(handle, elementPath, false)
+      const node = element && value(element)
+      if (!node || typeof node !== 'object') return []
+      const keys = Array.isArray(node) ? node.map((item, index) => index) : Object.keys(node)
+      return keys.map((key) => ({ record: element.record, container: node, key: key }))
+    },
+    GetFileName: (fileHandle) => fileHandle.file.name,
+    GetFlag: (handle, elementPath, flag) => flagsAt(handle, elementPath).includes(flag),
+    GetFloatValue: (handle, elementPath) => Number(nodeAt(handle, elementPath)) || 0,
+    GetGlobal: (name) => name === 'DataPath' ? (options.dataPath || '') : '',
+    GetHexFormID: (handle) => handle.record.data.FormID,
+    GetIntValue: (handle, elementPath) => Math.trunc(Number(nodeAt(handle, elementPath))) || 0,
+    GetIsFemale: (handle) => flagsAt(handle, 'ACBS\\Flags').includes('Female'),
+    GetIsUnique: (handle) => flagsAt(handle, 'ACBS\\Flags').includes('Unique'),
+    GetLinksTo: function (handle, elementPath) {
+      const record = findRecord(nodeAt(handle, elementPath))
+      return record ? recordHandle(record) : 0
+    },
+    GetMasterNames: (fileHandle) => fileHandle.file.masters.slice(),
+    GetMasterRecord: (handle) => recordHandle(masterRecord(handle.record.data.FormID)),
+    GetOverrides: (handle) => (recordVersions.get(handle.record.data.FormID) || []).slice(1).map(recordHandle),
+    GetRecord: function (fileHandle, localFormID) {
+      const file = fileHandle.file
+      const masterIndex = localFormID >>> 24
+      const owner = masterIndex < file.masters.length ? filesByName.get(file.masters[masterIndex].toLowerCase()) : file
+      if (!owner) return 0
+      const formID = hexFormID((owner.index << 24) | (localFormID & 0xffffff))
+      const versions = recordVersions.get(formID) || []
+      const record = versions.find((version) => version.file === file) || versions[0]
+      return record ? recordHandle(record) : 0
+    },
+    GetRecords: function (handle, signature, includeOverrides) {
+      const records = []
+      for (const versions of recordVersions.values()) {
+        for (const record of includeOverrides ? versions : versions.slice(0, 1)) {
+          if (record.data.Signature === signature) records.push(recordHandle(record))
+        }
+      }
+      return records
+    },
+    GetValue: function (handle, elementPath) {
+      const node = nodeAt(handle, elementPath)
+      if (node === null || node === undefined || typeof node === 'object') return Array.isArray(node) ? node.join(', ') : ''
+      return String(node)
+    },
+    GetWinningOverride: (handle) => recordHandle(winningRecord(handle.record.data.FormID)),
+    HasElement: (handle, elementPath) => {
+      const node = nodeAt(handle, elementPath)
+      return node !== undefined
+    },
+    LongName: function (handle) {
+      const { EDID, FULL, Signature, FormID } = handle.record.data
+      return `${EDID || ''}${FULL ? ` "${FULL}"` : ''} [${Signature}:${FormID}]`
+    },
+    RemoveElement: function (handle, elementPath) {
+      const element = resolve(handle, elementPath, false)
+      if (!element || !element.container) return
+      if (Array.isArray(element.container)) {
+        element.container.splice(element.key, 1)
+      } else {
+        delete element.container[element.key]
+      }
+    },
+    SetFloatValue: function (handle, elementPath, newValue) {
+      const [valuePath, floatValue] = setValueArguments(elementPath, newValue)
+      setNode(resolve(handle, valuePath, true), Number(floatValue))
+    },
+    SetIntValue: function (handle, elementPath, newValue) {
+      const [valuePath, intValue] = setValueArguments(elementPath, newValue)
+      setNode(resolve(handle, valuePath, true), Math.trunc(Number(intValue)))
+    },
+    SetLinksTo: function (handle, target, elementPath) {
+      setNode(resolve(handle, elementPath, true), target.record.data.FormID)
+    },
+    SetValue: function (handle, elementPath, newValue) {
+      const [valuePath, stringValue] = setValueArguments(elementPath, newValue)
+      const element = resolve(handle, valuePath, true)
+      setNode(element, String(stringValue))
+      if (element.container === handle.record.data && element.key === 'EDID') indexEditorID(element.container.EDID, handle.record.data.FormID)
+    },
+    Signature: (handle) => handle.record.data.Signature,
+    WithHandle: (handle, callback) => callback(handle),
+    WithHandles: (handles, callback) => callback(handles)
+  }
+  return backend
+}
+
+module.exports = createJsonBackend
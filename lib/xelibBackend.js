@@ -0,0 +1,8 @@
+// the engine's record and file access inside zEdit, which is xelib and zEdit's file helpers
+module.exports = function xelibBackend (xelib, fh, patcherPath) {
+  return Object.assign({}, xelib, {
+    jetpack: fh.jetpack,
+    loadJsonFile: fh.loadJsonFile,
+    patcherPath: patcherPath
+  })
+}
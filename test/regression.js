@@ -0,0 +1,257 @@
+// runs the command line on the dumps in test/fixtures and compares each patch with the expected one
+// node test/regression.js [--update], --update rewrites the expected patches after a change that's meant to alter faces
+
+const assert = require('assert')
+const childProcess = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const fixtures = path.join(__dirname, 'fixtures')
+
+function byEditorID (patch) {
+  return new Map(patch.records.map((record) => [record.EDID, record]))
+}
+
+// the records an LVLN's added entries point at
+function addedEntries (patch, edid) {
+  const byFormID = new Map(patch.records.map((record) => [record.FormID, record]))
+  const lvln = byEditorID(patch).get(edid)
+  assert.ok(lvln, `${edid} is patched`)
+  return lvln['Leveled List Entries'].slice(1).map((entry) => byFormID.get(entry.LVLO.Reference))
+}
+
+function checkPatch ({ patch }) {
+  const records = byEditorID(patch)
+  const settler = records.get('TestNPC0')
+  assert.ok(settler, 'TestNPC0 is patched')
+  assert.ok(settler['Head Parts'] && settler['Head Parts'].length, 'TestNPC0 has head parts')
+  assert.ok(settler['Face Tinting Layers'] && settler['Face Tinting Layers'].length, 'TestNPC0 has tints')
+  assert.ok(!records.has('NamedNPC') || !records.get('NamedNPC')['Face Tinting Layers'], 'unique NPCs keep their tints')
+
+  const raiders = addedEntries(patch, 'LCharRaider')
+  assert.strictEqual(raiders.length, 3, 'LCharRaider gets three variants')
+  raiders.forEach((variant, index) => assert.strictEqual(variant && variant.EDID, `TestNPC4_FGV${index + 1}`))
+
+  // LvlRaiderMelee takes its traits from RaiderFaceTemplate, so its copies use the template's variants
+  const templated = addedEntries(patch, 'LCharRaiderMelee')
+  assert.strictEqual(templated.length, 3, 'LCharRaiderMelee gets three variants')
+  templated.forEach((variant, index) => {
+    assert.strictEqual(variant && variant.EDID, `LvlRaiderMelee_FGV${index + 1}`)
+    assert.strictEqual(records.get(`RaiderFaceTemplate_FGV${index + 1}`).FormID, variant.TPLT)
+  })
+}
+
+// scars for everyone, and nothing else that would hide a change to them
+const scarRules = [{ name: 'Everyone', scars: { count: { min: 1, max: 5 }, intensity: { min: 0.2, max: 0.7 } } }]
+
+// kids come first in the load order, and must leave the rules as they found them for the adults after them
+function checkChildren ({ patch }, results) {
+  const records = byEditorID(patch)
+  for (const edid of ['SettlementKid', 'WanderingKid']) {
+    const tints = records.get(edid)['Face Tinting Layers']
+    const scars = tints.filter((tint) => / - Scar /.test(tint.TETI.Index))
+    assert.ok(scars.length <= 1, `${edid} has at most one scar`)
+    scars.forEach((scar) => assert.ok(scar.TEND.Value <= 20, `${edid}'s scar is faint`))
+  }
+  const adults = byEditorID(results.get('scars').patch)
+  for (const [edid, record] of adults) {
+    assert.deepStrictEqual(records.get(edid), record, `${edid} looks the same with kids before it`)
+  }
+}
+
+// an excluded base gets no variants, and a base's override holds for its variants
+function checkVariantOverrides ({ patch }) {
+  const records = byEditorID(patch)
+  assert.ok(![...records.keys()].some((edid) => edid.startsWith('TestNPC4')), 'TestNPC4 is left out, variants and all')
+  assert.ok(!records.has('LCharRaider'), 'LCharRaider has no variants to add, so it stays out of the patch')
+  for (let index = 1; index <= 3; index++) {
+    const variant = records.get(`RaiderFaceTemplate_FGV${index}`)
+    assert.ok(variant, `RaiderFaceTemplate_FGV${index} is created`)
+    assert.strictEqual(variant.HCLF, undefined, `RaiderFaceTemplate_FGV${index} keeps the locked hair colour`)
+  }
+}
+
+// presets name forms by plugin|FormID, the way LooksMenu finds them, and so can pins
+function checkLooksMenu ({ patch, directory }) {
+  const npc = byEditorID(patch).get('TestNPC2')
+  assert.ok(npc['Head Parts'].includes('00001012'), 'TestNPC2 has the hair pinned by plugin|FormID')
+  assert.strictEqual(npc.HCLF, '00001005', 'TestNPC2 has the hair colour pinned by plugin|FormID')
+  const preset = JSON.parse(fs.readFileSync(path.join(directory, 'export', 'TestNPC2.json'), 'utf8'))
+  assert.ok(preset.HeadParts.length && preset.HeadParts.every((headPart) => /^Fallout4\.esm\|[0-9A-F]{6}$/.test(headPart)), 'head parts are exported as plugin|FormID')
+  assert.ok(preset.HeadParts.includes('Fallout4.esm|001012'), 'the pinned hair is exported')
+  assert.strictEqual(preset.HairColor, 'Fallout4.esm|001005', 'the hair colour is exported as plugin|FormID')
+}
+
+// the race's morphs by sex, the fixture dump gives the sexes different indices so mixing them up shows
+const faceMorphs = { female: [1, 2], male: [11, 12, 13] }
+const morphPresets = { female: [100, 101], male: [200, 201] }
+
+// presets from test/fixtures/presets only use the race's morphs for the NPC's sex, and are exported with them
+function checkMorphs ({ patch, log, directory }) {
+  assert.ok(/Left 1 .* out of FemaleB/.test(log), 'the region FemaleB has that the race doesn\'t is left out')
+  const npcs = patch.records.filter((record) => record.Signature === 'NPC_' && record['Face Morphs'])
+  assert.ok(npcs.length, 'NPCs get face morphs')
+  for (const npc of npcs) {
+    const sex = npc.ACBS.Flags.includes('Female') ? 'female' : 'male'
+    npc['Face Morphs'].forEach((morph) => assert.ok(faceMorphs[sex].includes(Number(morph.FMRI)), `${npc.EDID}'s face morph ${morph.FMRI} is a ${sex} one`))
+    ;(npc.MSDK || []).forEach((key) => assert.ok(morphPresets[sex].includes(Number(key)), `${npc.EDID}'s morph preset ${key} is a ${sex} one`))
+  }
+  const preset = JSON.parse(fs.readFileSync(path.join(directory, 'export', `${npcs[0].EDID}.json`), 'utf8'))
+  assert.ok(Object.keys(preset.Morphs.Regions).length, 'the exported preset has the face morphs')
+}
+
+// a second run over the same load order takes every face from the manifest the first one wrote
+function checkManifest ({ patch, log, directory }, results, first) {
+  assert.ok(fs.existsSync(path.join(directory, 'manifest.json')), 'the manifest is written')
+  const kept = /Kept (\d+) unchanged NPCs\./.exec(log)
+  assert.ok(kept && Number(kept[1]) > 0, 'the second run keeps the NPCs the first one patched')
+  assert.deepStrictEqual(patch, first.patch, 'the second run makes the same patch')
+}
+
+// every patched NPC is listed, and the loose FaceGen files in test/fixtures/data are flagged as stale
+function checkFaceGenList ({ patch, directory }) {
+  const read = (name) => fs.readFileSync(path.join(directory, 'facegen', name), 'utf8')
+  const npcs = patch.records.filter((record) => record.Signature === 'NPC_')
+  assert.strictEqual(read('facegen-formids.txt'), npcs.map((npc) => `${npc.FormID}\r\n`).join(''), 'every patched NPC is listed')
+  const rows = read('facegen.csv').split('\r\n')
+  assert.strictEqual(rows[0], 'FormID,EditorID,Name,Plugin,Changed,Stale FaceGen files')
+  assert.ok(rows.includes('0000101F,TestNPC0,Settler Smith,Fallout4.esm,yes,' +
+    'Meshes/Actors/Character/FaceGenData/FaceGeom/Fallout4.esm/0000101F.nif ' +
+    'Textures/Actors/Character/FaceCustomization/Fallout4.esm/0000101F_d.dds'), 'TestNPC0 is listed with its stale files')
+  assert.strictEqual(read('facegen-stale.txt'), 'Meshes/Actors/Character/FaceGenData/FaceGeom/Fallout4.esm/0000101F.nif\r\n' +
+    'Textures/Actors/Character/FaceCustomization/Fallout4.esm/0000101F_d.dds\r\n')
+}
+
+// FaceMod.esp is skipped by default, KeepFaces.esp keeps its face and gets tints, and a rename is no new face
+function checkFaceMods ({ patch, log }) {
+  const records = byEditorID(patch)
+  assert.ok(!records.has('TestNPC0'), 'TestNPC0 keeps the face FaceMod.esp gave it')
+  const kept = records.get('TestNPC1')
+  assert.deepStrictEqual(kept['Head Parts'], ['00001010', '00001014'], 'TestNPC1 keeps the head parts KeepFaces.esp gave it')
+  assert.strictEqual(kept.HCLF, '00001005', 'TestNPC1 keeps the hair colour KeepFaces.esp gave it')
+  assert.ok(kept['Face Tinting Layers'].length, 'TestNPC1 gets tints')
+  assert.strictEqual(records.get('TestNPC2').FULL, 'Renamed Settler', 'TestNPC2 is patched on top of its rename')
+  assert.ok(/FaceMod\.esp: 1 NPCs left alone/.test(log), 'the summary names FaceMod.esp')
+  assert.ok(/KeepFaces\.esp: 1 NPCs kept their face and got tints added/.test(log), 'the summary names KeepFaces.esp')
+}
+
+// each run merges dumps in test/fixtures in order, and has the settings to run it with
+// and what to check besides the expected patch, given the results of the runs before it,
+// a run with twice set runs again in the same directory and is checked with the first result too
+const runs = [{
+  name: 'patch',
+  dumps: ['dump.json'],
+  settings: { useMorphs: false, generateVariants: true },
+  check: checkPatch
+}, {
+  name: 'variantOverrides',
+  dumps: ['dump.json'],
+  settings: { useMorphs: false, generateVariants: true, overridesPath: path.join(fixtures, 'overrides.json') },
+  check: checkVariantOverrides
+}, {
+  name: 'looksMenu',
+  dumps: ['dump.json'],
+  settings: { useMorphs: false, exportPresets: true, overridesPath: path.join(fixtures, 'looksMenuOverrides.json') },
+  check: checkLooksMenu
+}, {
+  name: 'scars',
+  dumps: ['dump.json'],
+  settings: { useMorphs: false, appearanceRules: scarRules },
+  check: () => {}
+}, {
+  name: 'children',
+  dumps: ['children.json', 'dump.json'],
+  settings: { useMorphs: false, appearanceRules: scarRules, races: { HumanRace: true, ChildRace: true } },
+  check: checkChildren
+}, {
+  name: 'morphs',
+  dumps: ['dump.json'],
+  settings: { useMorphs: true, crossGenderPresets: false, exportPresets: true, presetPath: path.join(fixtures, 'presets') },
+  check: checkMorphs
+}, {
+  name: 'manifest',
+  dumps: ['dump.json'],
+  settings: { useMorphs: false, generateVariants: true },
+  twice: true,
+  check: checkManifest
+}, {
+  name: 'faceGenList',
+  dumps: ['dump.json'],
+  data: path.join(fixtures, 'data'),
+  settings: { useMorphs: false },
+  check: checkFaceGenList
+}, {
+  name: 'faceMods',
+  dumps: ['dump.json', 'faceMods.json'],
+  settings: { useMorphs: false, faceModPolicies: { 'KeepFaces.esp': 'tints' } },
+  check: checkFaceMods
+}]
+
+// everything a run writes besides the patch goes in its own directory
+function outputSettings (directory) {
+  return {
+    reportPath: path.join(directory, 'reports'),
+    exportPresetPath: path.join(directory, 'export'),
+    manifestPath: path.join(directory, 'manifest.json'),
+    faceGenListPath: path.join(directory, 'facegen')
+  }
+}
+
+// the files of every dump, and their records in the order of the dumps
+function mergeDumps (names) {
+  const dump = { files: [], records: [] }
+  for (const name of names) {
+    const part = JSON.parse(fs.readFileSync(path.join(fixtures, name), 'utf8'))
+    for (const file of part.files) {
+      if (!dump.files.some((other) => other.name === file.name)) dump.files.push(file)
+    }
+    dump.records.push(...part.records)
+  }
+  return dump
+}
+
+function runCli (run, directory) {
+  const dumpPath = path.join(directory, 'dump.json')
+  const settingsPath = path.join(directory, 'settings.json')
+  const output = path.join(directory, 'patch.json')
+  fs.writeFileSync(dumpPath, JSON.stringify(mergeDumps(run.dumps)))
+  fs.writeFileSync(settingsPath, JSON.stringify(Object.assign({ seed: 42 }, run.settings, outputSettings(directory))))
+  const args = [path.join(__dirname, '..', 'cli.js'), dumpPath, '--settings', settingsPath, '--output', output]
+  if (run.data) args.push('--data', run.data)
+  const result = childProcess.spawnSync(process.execPath, args, { encoding: 'utf8' })
+  if (result.status !== 0) throw new Error(`cli.js failed on the ${run.name} run:\n${result.stdout}${result.stderr}`)
+  return { patch: JSON.parse(fs.readFileSync(output, 'utf8')), log: result.stdout, directory: directory }
+}
+
+function main (args) {
+  const update = args.includes('--update')
+  const results = new Map()
+  for (const run of runs) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fallout-genetics-'))
+    try {
+      const first = run.twice ? runCli(run, directory) : null
+      const result = runCli(run, directory)
+      run.check(result, results, first)
+      results.set(run.name, result)
+      const expectedPath = path.join(fixtures, 'expected', `${run.name}.json`)
+      if (update) {
+        fs.mkdirSync(path.dirname(expectedPath), { recursive: true })
+        fs.writeFileSync(expectedPath, JSON.stringify(result.patch, null, 2) + '\n')
+        console.log(`${run.name}: wrote ${result.patch.records.length} records to ${expectedPath}`)
+      } else {
+        assert.deepStrictEqual(result.patch, JSON.parse(fs.readFileSync(expectedPath, 'utf8')), `the ${run.name} patch matches ${expectedPath}`)
+        console.log(`${run.name}: the patch of ${result.patch.records.length} records matches the expected one.`)
+      }
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true })
+    }
+  }
+}
+
+try {
+  main(process.argv.slice(2))
+} catch (e) {
+  console.error(e.message)
+  process.exitCode = 1
+}